@@ -0,0 +1,138 @@
+/**
+ * ammo.js - Player ammunition types
+ * Defines the selectable shot types (physics, visuals and on-hit effect)
+ * and tracks which one is loaded
+ */
+
+// Shot types, selected with number keys 1-4 (masses are game-scaled, like projectile.js)
+export const AMMO_TYPES = Object.freeze({
+    round: {
+        id: 'round',
+        name: 'Round Shot',
+        key: '1',
+        radius: 0.3,
+        mass: 25,
+        dragCoefficient: 0.47,
+        speedMultiplier: 1.0,
+        color: 0x444444,
+        emissiveColor: 0xFF6600,
+        trailColor: 0xFF8800,
+        pellets: 1,
+        spread: 0,
+        damageMultiplier: 1,
+        hitRegion: null, // Damage the part that was struck
+        splashRadius: 2, // Near misses still rattle a hull
+        splashDamage: 0.5,
+        explodes: false,
+        ricochet: true
+    },
+    chain: {
+        id: 'chain',
+        name: 'Chain Shot',
+        key: '2',
+        radius: 0.35, // Two linked balls tumbling - wide and draggy, so shorter range
+        mass: 40,
+        dragCoefficient: 0.9,
+        speedMultiplier: 0.9,
+        color: 0x8899AA,
+        emissiveColor: 0x88CCFF,
+        trailColor: 0x88CCFF,
+        pellets: 1,
+        spread: 0,
+        damageMultiplier: 1,
+        hitRegion: 'mast', // Tears through rigging wherever it lands - always slows the ship
+        splashRadius: 1.5,
+        splashDamage: 0.3,
+        explodes: false,
+        ricochet: true
+    },
+    grape: {
+        id: 'grape',
+        name: 'Grapeshot',
+        key: '3',
+        radius: 0.12, // Small light pellets shed speed fast - close range only
+        mass: 3,
+        dragCoefficient: 0.47,
+        speedMultiplier: 1.0,
+        color: 0x8B5A2B,
+        emissiveColor: 0xFFAA44,
+        trailColor: 0xFFCC66,
+        pellets: 7,
+        spread: 0.07, // Cone half-angle in radians
+        damageMultiplier: 0.35, // Per pellet
+        hitRegion: null,
+        splashRadius: 0, // Pellets are too small to splash
+        splashDamage: 0,
+        explodes: false,
+        ricochet: true
+    },
+    explosive: {
+        id: 'explosive',
+        name: 'Explosive Shell',
+        key: '4',
+        radius: 0.32,
+        mass: 45,
+        dragCoefficient: 0.47,
+        speedMultiplier: 0.85,
+        color: 0x332211,
+        emissiveColor: 0xFF2200,
+        trailColor: 0xFF3300,
+        pellets: 1,
+        spread: 0,
+        damageMultiplier: 1,
+        hitRegion: null,
+        splashRadius: 5, // Bursts on impact (ship or water) - hull damage to everything nearby
+        splashDamage: 1.5,
+        explodes: true,
+        ricochet: false // Bursts on the water instead of skipping
+    }
+});
+
+const DEFAULT_AMMO = 'round';
+
+let currentAmmo = DEFAULT_AMMO;
+
+/**
+ * Gets an ammo type by id
+ * @param {string} id - Ammo id ('round', 'chain', 'grape', 'explosive')
+ * @returns {Object} Ammo definition (round shot if unknown)
+ */
+export function getAmmoType(id) {
+    return AMMO_TYPES[id] || AMMO_TYPES[DEFAULT_AMMO];
+}
+
+/**
+ * Gets the ammo type bound to a number key
+ * @param {string} key - Key pressed ('1'-'4')
+ * @returns {Object|null} Ammo definition, or null if the key isn't bound
+ */
+export function getAmmoForKey(key) {
+    return Object.values(AMMO_TYPES).find(ammo => ammo.key === key) || null;
+}
+
+/**
+ * Loads a different shot type
+ * @param {string} id - Ammo id
+ * @returns {Object} The selected ammo definition
+ */
+export function selectAmmo(id) {
+    if (AMMO_TYPES[id]) {
+        currentAmmo = id;
+    }
+    return getCurrentAmmo();
+}
+
+/**
+ * Gets the currently loaded shot type
+ * @returns {Object} Ammo definition
+ */
+export function getCurrentAmmo() {
+    return AMMO_TYPES[currentAmmo];
+}
+
+/**
+ * Resets to round shot (for restart)
+ */
+export function resetAmmo() {
+    currentAmmo = DEFAULT_AMMO;
+}
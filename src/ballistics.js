@@ -0,0 +1,185 @@
+/**
+ * ballistics.js - Ballistic firing solutions
+ * Computes the launch direction that lands a projectile on a target under gravity,
+ * refined numerically so air drag and wind do not carry shots short or downwind
+ */
+
+import * as THREE from 'three';
+
+// Numerical refinement settings
+const REFINE_ITERATIONS = 4;
+const SIMULATION_STEP = 1 / 120; // seconds (matches the game's fixed tick)
+const MAX_SIMULATION_TIME = 10; // seconds
+const INTERCEPT_ITERATIONS = 5;
+const INTERCEPT_TOLERANCE = 0.01; // seconds of flight time change considered converged
+
+/**
+ * Solves the launch angle for a vacuum trajectory
+ * @param {number} distance - Horizontal distance to target
+ * @param {number} height - Target height relative to the muzzle
+ * @param {number} speed - Launch speed
+ * @param {number} gravity - Gravity magnitude (positive)
+ * @param {boolean} highArc - True for the lobbed solution, false for the flat one
+ * @returns {number|null} Elevation angle in radians, or null if the target is out of range
+ */
+export function solveLaunchAngle(distance, height, speed, gravity, highArc = false) {
+    const speedSq = speed * speed;
+    const discriminant = speedSq * speedSq - gravity * (gravity * distance * distance + 2 * height * speedSq);
+
+    if (discriminant < 0) {
+        return null; // Out of range at this speed
+    }
+
+    if (distance < 1e-6) {
+        return height >= 0 ? Math.PI / 2 : -Math.PI / 2;
+    }
+
+    const root = Math.sqrt(discriminant);
+    const tangent = (speedSq + (highArc ? root : -root)) / (gravity * distance);
+    return Math.atan(tangent);
+}
+
+/**
+ * Simulates a trajectory with quadratic drag and wind until it falls through the target height
+ * @param {number} angle - Elevation angle in radians
+ * @param {number} headingX - X component of the horizontal launch heading (unit length with headingZ)
+ * @param {number} headingZ - Z component of the horizontal launch heading
+ * @param {number} speed - Launch speed
+ * @param {number} gravity - Gravity magnitude (positive)
+ * @param {number} dragFactor - Drag per unit mass (a = -k * |v| * v)
+ * @param {THREE.Vector3|null} wind - Horizontal wind acceleration, or null for still air
+ * @param {number} height - Target height relative to the muzzle
+ * @returns {Object|null} {x, z, time}: landing offset from the muzzle and flight time, or null
+ */
+function simulateLanding(angle, headingX, headingZ, speed, gravity, dragFactor, wind, height) {
+    const windX = wind ? wind.x : 0;
+    const windZ = wind ? wind.z : 0;
+    let x = 0;
+    let y = 0;
+    let z = 0;
+    let vx = Math.cos(angle) * speed * headingX;
+    let vy = Math.sin(angle) * speed;
+    let vz = Math.cos(angle) * speed * headingZ;
+
+    for (let t = 0; t < MAX_SIMULATION_TIME; t += SIMULATION_STEP) {
+        const prevX = x;
+        const prevY = y;
+        const prevZ = z;
+
+        // Same integration order as updateProjectiles: gravity, wind, then drag, then position
+        vy -= gravity * SIMULATION_STEP;
+        vx += windX * SIMULATION_STEP;
+        vz += windZ * SIMULATION_STEP;
+        const v = Math.sqrt(vx * vx + vy * vy + vz * vz);
+        vx -= dragFactor * v * vx * SIMULATION_STEP;
+        vy -= dragFactor * v * vy * SIMULATION_STEP;
+        vz -= dragFactor * v * vz * SIMULATION_STEP;
+        x += vx * SIMULATION_STEP;
+        y += vy * SIMULATION_STEP;
+        z += vz * SIMULATION_STEP;
+
+        // Crossed the target height on the way down
+        if (vy < 0 && prevY >= height && y < height) {
+            const fraction = (prevY - height) / (prevY - y);
+            return {
+                x: prevX + (x - prevX) * fraction,
+                z: prevZ + (z - prevZ) * fraction,
+                time: t + SIMULATION_STEP * fraction
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Computes a firing solution from a muzzle to a target point
+ * @param {THREE.Vector3} origin - Muzzle position
+ * @param {THREE.Vector3} target - Point to hit
+ * @param {number} speed - Projectile launch speed
+ * @param {number} gravity - Gravity magnitude (positive)
+ * @param {Object} options - {highArc: boolean, dragFactor: number, wind: THREE.Vector3 (horizontal acceleration)}
+ * @returns {Object|null} {direction: THREE.Vector3, angle, flightTime}, or null if out of range
+ */
+export function computeFiringSolution(origin, target, speed, gravity, options = {}) {
+    const { highArc = false, dragFactor = 0, wind = null } = options;
+
+    const dx = target.x - origin.x;
+    const dz = target.z - origin.z;
+    const height = target.y - origin.y;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+
+    let angle = solveLaunchAngle(distance, height, speed, gravity, highArc);
+    if (angle === null) {
+        return null;
+    }
+
+    let flightTime = distance / Math.max(Math.cos(angle) * speed, 1e-6);
+
+    // Drag shortens the shot and wind carries it sideways: aim at a virtual target shifted by
+    // each simulated miss until the real landing point matches
+    let aimX = dx;
+    let aimZ = dz;
+    const hasWind = wind !== null && (wind.x !== 0 || wind.z !== 0);
+    if ((dragFactor > 0 || hasWind) && distance > 1e-6) {
+        for (let i = 0; i < REFINE_ITERATIONS; i++) {
+            const aimDistance = Math.sqrt(aimX * aimX + aimZ * aimZ);
+            const landing = simulateLanding(angle, aimX / aimDistance, aimZ / aimDistance, speed, gravity, dragFactor, wind, height);
+            if (!landing) break;
+            flightTime = landing.time;
+
+            const nextX = aimX + dx - landing.x;
+            const nextZ = aimZ + dz - landing.z;
+            const nextDistance = Math.sqrt(nextX * nextX + nextZ * nextZ);
+            const refinedAngle = nextDistance > 1e-6 ? solveLaunchAngle(nextDistance, height, speed, gravity, highArc) : null;
+            if (refinedAngle === null) break; // Can't reach farther; keep the best solution so far
+            angle = refinedAngle;
+            aimX = nextX;
+            aimZ = nextZ;
+        }
+    }
+
+    // Build the 3D launch direction from heading and elevation
+    const direction = new THREE.Vector3(0, Math.sin(angle), 0);
+    if (distance > 1e-6) {
+        const horizontal = Math.cos(angle) / Math.sqrt(aimX * aimX + aimZ * aimZ);
+        direction.x = aimX * horizontal;
+        direction.z = aimZ * horizontal;
+    }
+
+    return { direction, angle, flightTime };
+}
+
+/**
+ * Computes a firing solution that intercepts a moving target
+ * Re-solves against the target's predicted position until the flight time settles
+ * @param {THREE.Vector3} origin - Muzzle position
+ * @param {THREE.Vector3} targetPosition - Target's current position
+ * @param {THREE.Vector3} targetVelocity - Target's velocity (units per second)
+ * @param {number} speed - Projectile launch speed
+ * @param {number} gravity - Gravity magnitude (positive)
+ * @param {Object} options - {highArc: boolean, dragFactor: number, wind: THREE.Vector3}
+ * @returns {Object|null} {direction, angle, flightTime, aimPoint}, or null if out of range
+ */
+export function computeInterceptSolution(origin, targetPosition, targetVelocity, speed, gravity, options = {}) {
+    const aimPoint = targetPosition.clone();
+    const predicted = new THREE.Vector3();
+    let solution = computeFiringSolution(origin, aimPoint, speed, gravity, options);
+
+    for (let i = 0; i < INTERCEPT_ITERATIONS && solution; i++) {
+        predicted.copy(targetPosition).addScaledVector(targetVelocity, solution.flightTime);
+        predicted.y = targetPosition.y; // Ships stay on the water
+
+        const next = computeFiringSolution(origin, predicted, speed, gravity, options);
+        if (!next) break; // Predicted point out of range; keep the last reachable solution
+        const settled = Math.abs(next.flightTime - solution.flightTime) < INTERCEPT_TOLERANCE;
+        solution = next;
+        aimPoint.copy(predicted);
+        if (settled) break;
+    }
+
+    if (solution) {
+        solution.aimPoint = aimPoint;
+    }
+    return solution;
+}
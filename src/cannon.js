@@ -4,12 +4,20 @@
  */
 
 import * as THREE from 'three';
-import { degToRad, clamp } from './utils.js';
+import { degToRad, clamp, lerp } from './utils.js';
+import { MAX_WIND_STRENGTH } from './wind.js';
 
 let cannonBase, cannonBarrel, cannonGroup;
 
+// Wind-driven rigging (sail belly and flag streaming)
+let sailMesh, sailProfile, flagPivot, flagMesh;
+let riggingTime = 0;
+let sailFill = 0; // Smoothed wind fill (-1 = taken aback, 1 = full tailwind)
+const localWind = new THREE.Vector3();
+const UP_AXIS = new THREE.Vector3(0, 1, 0);
+
 // Aiming constraints
-const MIN_PITCH = 5;  // degrees
+const MIN_PITCH = 0;  // degrees (level shots skip along the water)
 const MAX_PITCH = 70; // degrees
 
 /**
@@ -194,13 +202,13 @@ export function createCannon(scene) {
     
     // ============ MAIN SAIL (smaller, positioned to not block cannon) ============
     const sailGeometry = new THREE.PlaneGeometry(1.8, 1.6, 8, 8);
-    // Add some curve to the sail
+    // Add some curve to the sail (profile is kept so the wind can deepen or flip it)
     const sailPositions = sailGeometry.attributes.position;
+    sailProfile = new Float32Array(sailPositions.count);
     for (let i = 0; i < sailPositions.count; i++) {
         const x = sailPositions.getX(i);
-        const y = sailPositions.getY(i);
-        const bulge = Math.sin((x / 0.9 + 0.5) * Math.PI) * 0.35;
-        sailPositions.setZ(i, bulge);
+        sailProfile[i] = Math.sin((x / 0.9 + 0.5) * Math.PI);
+        sailPositions.setZ(i, sailProfile[i] * 0.35);
     }
     sailGeometry.computeVertexNormals();
     
@@ -210,7 +218,7 @@ export function createCannon(scene) {
         metalness: 0.0,
         side: THREE.DoubleSide
     });
-    const sailMesh = new THREE.Mesh(sailGeometry, sailMaterial);
+    sailMesh = new THREE.Mesh(sailGeometry, sailMaterial);
     sailMesh.position.set(0, 2.5, 0.1);
     sailMesh.castShadow = true;
     sailMesh.receiveShadow = true;
@@ -232,6 +240,11 @@ export function createCannon(scene) {
     cannonBase.add(lowerYardMesh);
     
     // ============ PIRATE FLAG (on top of mast) ============
+    // Flag, skull and bones hang from a pivot at the masthead so they can stream downwind
+    flagPivot = new THREE.Group();
+    flagPivot.position.set(0, 3.55, 0.3);
+    cannonBase.add(flagPivot);
+
     const flagGeometry = new THREE.PlaneGeometry(0.6, 0.4, 4, 3);
     // Wave the flag slightly
     const flagPositions = flagGeometry.attributes.position;
@@ -246,31 +259,30 @@ export function createCannon(scene) {
         roughness: 0.95,
         side: THREE.DoubleSide
     });
-    const flagMesh = new THREE.Mesh(flagGeometry, flagMaterial);
-    flagMesh.position.set(0.35, 3.55, 0.3);
-    flagMesh.rotation.y = Math.PI / 2;
+    flagMesh = new THREE.Mesh(flagGeometry, flagMaterial);
+    flagMesh.position.set(0.3, 0, 0); // Hoist edge sits on the mast
     flagMesh.castShadow = true;
-    cannonBase.add(flagMesh);
+    flagPivot.add(flagMesh);
     
     // Skull and crossbones on flag
     const skullGeometry = new THREE.SphereGeometry(0.07, 12, 12);
     const skullMaterial = new THREE.MeshStandardMaterial({ color: 0xE8E8E8, roughness: 0.6 });
     const skullMesh = new THREE.Mesh(skullGeometry, skullMaterial);
-    skullMesh.position.set(0.32, 3.57, 0.3);
+    skullMesh.position.set(0.3, 0.02, 0);
     skullMesh.castShadow = true;
-    cannonBase.add(skullMesh);
+    flagPivot.add(skullMesh);
     
     // Crossbones
     const boneGeometry = new THREE.CylinderGeometry(0.015, 0.015, 0.25, 6);
     const boneMaterial = new THREE.MeshStandardMaterial({ color: 0xE8E8E8, roughness: 0.6 });
     const bone1 = new THREE.Mesh(boneGeometry, boneMaterial);
     bone1.rotation.z = Math.PI / 4;
-    bone1.position.set(0.32, 3.45, 0.3);
-    cannonBase.add(bone1);
+    bone1.position.set(0.3, -0.1, 0);
+    flagPivot.add(bone1);
     const bone2 = new THREE.Mesh(boneGeometry, boneMaterial);
     bone2.rotation.z = -Math.PI / 4;
-    bone2.position.set(0.32, 3.45, 0.3);
-    cannonBase.add(bone2);
+    bone2.position.set(0.3, -0.1, 0);
+    flagPivot.add(bone2);
     
     // ============ RIGGING (ROPES) - shorter ============
     const ropeMaterial = new THREE.MeshBasicMaterial({ color: ropeColor });
@@ -439,6 +451,59 @@ export function setYawPitch(yaw, pitch) {
     cannonBarrel.rotation.x = degToRad(clampedPitch);
 }
 
+/**
+ * Bends the sail and streams the flag according to the wind
+ * @param {THREE.Vector3} windVector - World-space wind velocity (m/s)
+ * @param {number} deltaTime - Time since last update in seconds
+ */
+export function updateSails(windVector, deltaTime) {
+    if (!sailMesh || !flagPivot) return;
+
+    riggingTime += deltaTime;
+
+    // Bring the wind into ship-local space (ship forward is -Z)
+    const shipHeading = cannonGroup.rotation.y + cannonBase.rotation.y;
+    localWind.copy(windVector).applyAxisAngle(UP_AXIS, -shipHeading);
+    const strengthFactor = clamp(windVector.length() / MAX_WIND_STRENGTH, 0, 1);
+
+    // Tailwind fills the sail forward, headwind presses it back against the mast
+    const targetFill = clamp(-localWind.z / MAX_WIND_STRENGTH, -1, 1);
+    sailFill = lerp(sailFill, targetFill, clamp(deltaTime * 3, 0, 1));
+
+    // Sails luff (flutter) when the wind comes from the side
+    const luff = (1 - Math.abs(sailFill)) * strengthFactor * 0.05;
+    const depth = 0.1 + Math.abs(sailFill) * 0.35;
+    const direction = sailFill >= 0 ? -1 : 1;
+
+    const sailPositions = sailMesh.geometry.attributes.position;
+    for (let i = 0; i < sailPositions.count; i++) {
+        const x = sailPositions.getX(i);
+        const flutter = Math.sin(riggingTime * 12 + x * 6) * luff;
+        sailPositions.setZ(i, sailProfile[i] * depth * direction + flutter);
+    }
+    sailPositions.needsUpdate = true;
+    sailMesh.geometry.computeVertexNormals();
+
+    // Swing the flag pivot so the flag points downwind
+    if (strengthFactor > 0.01) {
+        const targetAngle = Math.atan2(-localWind.z, localWind.x);
+        let angleDelta = targetAngle - flagPivot.rotation.y;
+        angleDelta = Math.atan2(Math.sin(angleDelta), Math.cos(angleDelta));
+        flagPivot.rotation.y += angleDelta * clamp(deltaTime * 4, 0, 1);
+    }
+
+    // Flag ripples faster and harder in stronger wind
+    const flagPositions = flagMesh.geometry.attributes.position;
+    const rippleSpeed = 4 + strengthFactor * 10;
+    const rippleHeight = 0.03 + strengthFactor * 0.06;
+    for (let i = 0; i < flagPositions.count; i++) {
+        const x = flagPositions.getX(i);
+        flagPositions.setZ(i, Math.sin(x * 8 - riggingTime * rippleSpeed) * rippleHeight * (x + 0.3));
+    }
+    flagPositions.needsUpdate = true;
+    flagMesh.geometry.computeVertexNormals();
+}
+
 /**
  * Gets the muzzle position in world coordinates
  * @returns {THREE.Vector3} World position of cannon muzzle
@@ -0,0 +1,108 @@
+/**
+ * clock.js - Game clock
+ * Single source of game time for every module. Game time only advances in
+ * fixed simulation ticks, so it can be paused, slowed down or stepped manually
+ */
+
+// Simulation timing
+export const FIXED_TIMESTEP = 1 / 120; // Seconds per simulation tick (120 Hz)
+const MAX_FRAME_TIME = 0.25; // Clamp long frames (tab switches) so the simulation can catch up
+
+// Clock state
+let gameTime = 0; // Seconds of simulated game time
+let accumulator = 0; // Scaled frame time not yet simulated
+let paused = false;
+let timeScale = 1; // 1 = real time, 0.5 = half-speed slow motion, etc.
+let pendingSteps = 0; // Manual steps requested while paused
+
+/**
+ * Gets the current game time
+ * @returns {number} Game time in seconds
+ */
+export function getTime() {
+    return gameTime;
+}
+
+/**
+ * Feeds real elapsed frame time into the clock
+ * @param {number} realDeltaTime - Wall-clock seconds since the last frame
+ * @returns {number} Number of fixed ticks to simulate this frame
+ */
+export function advanceClock(realDeltaTime) {
+    let ticks = 0;
+
+    if (!paused) {
+        accumulator += Math.min(realDeltaTime, MAX_FRAME_TIME) * timeScale;
+        ticks = Math.floor(accumulator / FIXED_TIMESTEP);
+        accumulator -= ticks * FIXED_TIMESTEP;
+    }
+
+    // Manual steps run even while paused
+    ticks += pendingSteps;
+    pendingSteps = 0;
+
+    return ticks;
+}
+
+/**
+ * Advances game time by one fixed tick (call once per simulation step)
+ */
+export function tick() {
+    gameTime += FIXED_TIMESTEP;
+}
+
+/**
+ * Gets how far between the last tick and the next one the render frame falls
+ * @returns {number} Interpolation factor (0 to 1)
+ */
+export function getInterpolationAlpha() {
+    return accumulator / FIXED_TIMESTEP;
+}
+
+/**
+ * Discards unsimulated frame time (for restart)
+ */
+export function resetAccumulator() {
+    accumulator = 0;
+    pendingSteps = 0;
+}
+
+/**
+ * Pauses or resumes the clock
+ * @param {boolean} isPaused - True to freeze game time
+ */
+export function setPaused(isPaused) {
+    paused = isPaused;
+}
+
+/**
+ * Gets whether the clock is paused
+ * @returns {boolean} True if paused
+ */
+export function isPaused() {
+    return paused;
+}
+
+/**
+ * Sets the time scale for slow-motion or fast-forward
+ * @param {number} scale - Game seconds per real second (clamped to be non-negative)
+ */
+export function setTimeScale(scale) {
+    timeScale = Math.max(0, scale);
+}
+
+/**
+ * Gets the current time scale
+ * @returns {number} Game seconds per real second
+ */
+export function getTimeScale() {
+    return timeScale;
+}
+
+/**
+ * Requests manual simulation steps (works while paused, useful for tests and debugging)
+ * @param {number} count - Number of fixed ticks to run on the next frame
+ */
+export function stepClock(count = 1) {
+    pendingSteps += count;
+}
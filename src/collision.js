@@ -1,6 +1,8 @@
 /**
  * collision.js - Collision detection functions
- * Implements sphere vs AABB (Axis-Aligned Bounding Box) collision
+ * Implements sphere vs AABB (Axis-Aligned Bounding Box) and OBB (Oriented Bounding Box)
+ * collision, plus swept (continuous) tests so fast projectiles can't tunnel through thin hulls
+ * and a uniform-grid broad phase so only nearby pairs reach the narrow-phase tests
  */
 
 import * as THREE from 'three';
@@ -30,6 +32,133 @@ export function sphereVsAABB(center, radius, min, max) {
     return distanceSquared <= (radius * radius);
 }
 
+/**
+ * Sweeps a sphere along a segment against an AABB (continuous collision)
+ * The box is expanded by the radius (Minkowski sum) and the segment is ray-cast
+ * against it with the slab method; edges and corners are treated as square,
+ * which is slightly conservative
+ * @param {Object} start - Sphere center at the start of the step {x, y, z}
+ * @param {Object} end - Sphere center at the end of the step {x, y, z}
+ * @param {number} radius - Sphere radius
+ * @param {Object} min - AABB minimum corner {x, y, z}
+ * @param {Object} max - AABB maximum corner {x, y, z}
+ * @returns {Object|null} {time (0-1 along the segment), normal, point} or null if no hit
+ */
+export function sweptSphereVsAABB(start, end, radius, min, max) {
+    const axes = ['x', 'y', 'z'];
+    let entryTime = 0;
+    let exitTime = 1;
+    let entryAxis = null;
+    let entrySign = 0;
+
+    for (const axis of axes) {
+        const lo = min[axis] - radius;
+        const hi = max[axis] + radius;
+        const delta = end[axis] - start[axis];
+
+        if (Math.abs(delta) < 1e-9) {
+            // Moving parallel to this slab: must already be inside it
+            if (start[axis] < lo || start[axis] > hi) {
+                return null;
+            }
+            continue;
+        }
+
+        let t1 = (lo - start[axis]) / delta;
+        let t2 = (hi - start[axis]) / delta;
+        let sign = -1; // Entering through the min face
+        if (t1 > t2) {
+            [t1, t2] = [t2, t1];
+            sign = 1; // Entering through the max face
+        }
+
+        if (t1 > entryTime) {
+            entryTime = t1;
+            entryAxis = axis;
+            entrySign = sign;
+        }
+        exitTime = Math.min(exitTime, t2);
+
+        if (entryTime > exitTime) {
+            return null;
+        }
+    }
+
+    const normal = new THREE.Vector3();
+    const center = new THREE.Vector3(
+        start.x + (end.x - start.x) * entryTime,
+        start.y + (end.y - start.y) * entryTime,
+        start.z + (end.z - start.z) * entryTime
+    );
+
+    if (entryAxis) {
+        normal[entryAxis] = entrySign;
+    } else {
+        // Already overlapping at the start: push out through the nearest face
+        let smallestDepth = Infinity;
+        for (const axis of axes) {
+            const depthMin = center[axis] - (min[axis] - radius);
+            const depthMax = (max[axis] + radius) - center[axis];
+            if (depthMin < smallestDepth) {
+                smallestDepth = depthMin;
+                normal.set(0, 0, 0);
+                normal[axis] = -1;
+            }
+            if (depthMax < smallestDepth) {
+                smallestDepth = depthMax;
+                normal.set(0, 0, 0);
+                normal[axis] = 1;
+            }
+        }
+    }
+
+    // Contact point on the box surface closest to the sphere center at impact
+    const point = new THREE.Vector3(
+        clamp(center.x, min.x, max.x),
+        clamp(center.y, min.y, max.y),
+        clamp(center.z, min.z, max.z)
+    );
+
+    return { time: entryTime, normal, point };
+}
+
+/**
+ * Sweeps a sphere along a segment against a stationary sphere (continuous collision)
+ * @param {Object} start - Moving sphere center at the start of the step {x, y, z}
+ * @param {Object} end - Moving sphere center at the end of the step {x, y, z}
+ * @param {number} radius - Moving sphere radius
+ * @param {Object} center - Stationary sphere center {x, y, z}
+ * @param {number} otherRadius - Stationary sphere radius
+ * @returns {Object|null} {time (0-1 along the segment), normal, point} or null if no hit
+ */
+export function sweptSphereVsSphere(start, end, radius, center, otherRadius) {
+    const combinedRadius = radius + otherRadius;
+    const segment = new THREE.Vector3(end.x - start.x, end.y - start.y, end.z - start.z);
+    const offset = new THREE.Vector3(start.x - center.x, start.y - center.y, start.z - center.z);
+
+    // Solve |offset + segment * t|² = combinedRadius² for the first t in [0, 1]
+    const a = segment.dot(segment);
+    const b = 2 * offset.dot(segment);
+    const c = offset.dot(offset) - combinedRadius * combinedRadius;
+
+    let time;
+    if (c <= 0) {
+        time = 0; // Already overlapping
+    } else {
+        if (a < 1e-12) return null;
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+        time = (-b - Math.sqrt(discriminant)) / (2 * a);
+        if (time < 0 || time > 1) return null;
+    }
+
+    const hitCenter = offset.addScaledVector(segment, time); // Relative to the stationary sphere
+    const normal = hitCenter.lengthSq() > 1e-12 ? hitCenter.clone().normalize() : new THREE.Vector3(0, 1, 0);
+    const point = new THREE.Vector3(center.x, center.y, center.z).addScaledVector(normal, otherRadius);
+
+    return { time, normal, point };
+}
+
 /**
  * Get AABB bounds from a Three.js mesh or group
  * @param {THREE.Mesh|THREE.Group} object - The object to get bounds from
@@ -55,3 +184,304 @@ export function getAABBFromMesh(object) {
     return { min, max };
 }
 
+
+/**
+ * Builds a world-space OBB from a box defined in an object's local space
+ * Uses the object's own transform, so it must be a direct child of the scene
+ * @param {THREE.Object3D} object - Object the box is attached to
+ * @param {THREE.Vector3} localCenter - Box center in the object's local space
+ * @param {THREE.Vector3} halfExtents - Box half-sizes in the object's local space
+ * @returns {Object} {center: THREE.Vector3, axes: [THREE.Vector3 x3], halfExtents: THREE.Vector3}
+ */
+export function getOBBFromObject(object, localCenter, halfExtents) {
+    // Use the live transform rather than matrixWorld, which may hold an interpolated render pose
+    object.updateMatrix();
+
+    const axes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    object.matrix.extractBasis(axes[0], axes[1], axes[2]);
+
+    // Fold the object's scale into the extents so the axes stay unit length
+    const scaledHalfExtents = new THREE.Vector3(
+        halfExtents.x * axes[0].length(),
+        halfExtents.y * axes[1].length(),
+        halfExtents.z * axes[2].length()
+    );
+    axes.forEach(axis => axis.normalize());
+
+    return {
+        center: localCenter.clone().applyMatrix4(object.matrix),
+        axes,
+        halfExtents: scaledHalfExtents
+    };
+}
+
+/**
+ * Transforms a world-space point into an OBB's local frame
+ * @param {Object} point - World position {x, y, z}
+ * @param {Object} obb - OBB from getOBBFromObject
+ * @returns {THREE.Vector3} Position relative to the OBB center along its axes
+ */
+function toOBBSpace(point, obb) {
+    const offset = new THREE.Vector3(point.x, point.y, point.z).sub(obb.center);
+    return new THREE.Vector3(
+        offset.dot(obb.axes[0]),
+        offset.dot(obb.axes[1]),
+        offset.dot(obb.axes[2])
+    );
+}
+
+/**
+ * Transforms a direction from an OBB's local frame back to world space
+ * @param {THREE.Vector3} local - Direction along the OBB axes
+ * @param {Object} obb - OBB from getOBBFromObject
+ * @returns {THREE.Vector3} World-space direction
+ */
+function fromOBBDirection(local, obb) {
+    return new THREE.Vector3()
+        .addScaledVector(obb.axes[0], local.x)
+        .addScaledVector(obb.axes[1], local.y)
+        .addScaledVector(obb.axes[2], local.z);
+}
+
+/**
+ * Check collision between a sphere and an OBB
+ * @param {Object} center - Sphere center {x, y, z}
+ * @param {number} radius - Sphere radius
+ * @param {Object} obb - OBB from getOBBFromObject
+ * @returns {boolean} True if collision detected
+ */
+export function sphereVsOBB(center, radius, obb) {
+    // In the box's own frame the OBB is just an AABB centered at the origin
+    const local = toOBBSpace(center, obb);
+    const max = obb.halfExtents;
+    const min = max.clone().negate();
+    return sphereVsAABB(local, radius, min, max);
+}
+
+/**
+ * Gets the distance from a point to the nearest surface of an OBB (0 if inside)
+ * @param {Object} point - World position {x, y, z}
+ * @param {Object} obb - OBB from getOBBFromObject
+ * @returns {number} Distance in world units
+ */
+export function distanceToOBB(point, obb) {
+    const local = toOBBSpace(point, obb);
+    const half = obb.halfExtents;
+    const dx = Math.max(Math.abs(local.x) - half.x, 0);
+    const dy = Math.max(Math.abs(local.y) - half.y, 0);
+    const dz = Math.max(Math.abs(local.z) - half.z, 0);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Sweeps a sphere along a segment against an OBB (continuous collision)
+ * @param {Object} start - Sphere center at the start of the step {x, y, z}
+ * @param {Object} end - Sphere center at the end of the step {x, y, z}
+ * @param {number} radius - Sphere radius
+ * @param {Object} obb - OBB from getOBBFromObject
+ * @returns {Object|null} {time (0-1 along the segment), normal, point} in world space, or null if no hit
+ */
+export function sweptSphereVsOBB(start, end, radius, obb) {
+    const localStart = toOBBSpace(start, obb);
+    const localEnd = toOBBSpace(end, obb);
+    const max = obb.halfExtents;
+    const min = max.clone().negate();
+
+    const hit = sweptSphereVsAABB(localStart, localEnd, radius, min, max);
+    if (!hit) {
+        return null;
+    }
+
+    return {
+        time: hit.time,
+        normal: fromOBBDirection(hit.normal, obb),
+        point: fromOBBDirection(hit.point, obb).add(obb.center)
+    };
+}
+
+/**
+ * Sweeps a sphere against a set of named OBB regions and reports the first one struck
+ * @param {Object} start - Sphere center at the start of the step {x, y, z}
+ * @param {Object} end - Sphere center at the end of the step {x, y, z}
+ * @param {number} radius - Sphere radius
+ * @param {Array} regions - Named boxes [{name, obb}]
+ * @returns {Object|null} {time, normal, point, region} for the earliest hit, or null if none
+ */
+export function sweptSphereVsRegions(start, end, radius, regions) {
+    let firstHit = null;
+
+    for (const region of regions) {
+        const hit = sweptSphereVsOBB(start, end, radius, region.obb);
+        if (hit && (!firstHit || hit.time < firstHit.time)) {
+            firstHit = hit;
+            firstHit.region = region.name;
+        }
+    }
+    return firstHit;
+}
+
+// ============ BROAD PHASE - Uniform grid on the water plane ============
+
+/**
+ * Creates an empty uniform grid over the XZ plane
+ * Items are bucketed by their XZ bounds; Y is ignored since everything sits on the water
+ * @param {number} cellSize - Width of a grid cell in world units
+ * @returns {Object} Grid {cellSize, cells: Map<key, Set>, itemCells: Map<item, cell range>}
+ */
+export function createSpatialGrid(cellSize) {
+    return {
+        cellSize,
+        cells: new Map(),
+        itemCells: new Map()
+    };
+}
+
+/**
+ * Converts XZ bounds to the range of cells they cover
+ * @param {Object} grid - Grid from createSpatialGrid
+ * @param {Object} min - Bounds minimum {x, z}
+ * @param {Object} max - Bounds maximum {x, z}
+ * @returns {Object} {minX, maxX, minZ, maxZ} cell indices
+ */
+function getCellRange(grid, min, max) {
+    return {
+        minX: Math.floor(min.x / grid.cellSize),
+        maxX: Math.floor(max.x / grid.cellSize),
+        minZ: Math.floor(min.z / grid.cellSize),
+        maxZ: Math.floor(max.z / grid.cellSize)
+    };
+}
+
+/**
+ * Adds an item to every cell in a cell range
+ * @param {Object} grid - Grid from createSpatialGrid
+ * @param {*} item - Item to add
+ * @param {Object} range - Cell range from getCellRange
+ */
+function addToCells(grid, item, range) {
+    for (let x = range.minX; x <= range.maxX; x++) {
+        for (let z = range.minZ; z <= range.maxZ; z++) {
+            const key = `${x},${z}`;
+            let cell = grid.cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                grid.cells.set(key, cell);
+            }
+            cell.add(item);
+        }
+    }
+}
+
+/**
+ * Inserts an item into the grid (or moves it if already present)
+ * Only re-buckets when the item's covered cells actually change
+ * @param {Object} grid - Grid from createSpatialGrid
+ * @param {*} item - Item to store (returned by queries)
+ * @param {Object} min - Item bounds minimum {x, z}
+ * @param {Object} max - Item bounds maximum {x, z}
+ */
+export function updateInGrid(grid, item, min, max) {
+    const range = getCellRange(grid, min, max);
+    const previous = grid.itemCells.get(item);
+
+    if (previous &&
+        previous.minX === range.minX && previous.maxX === range.maxX &&
+        previous.minZ === range.minZ && previous.maxZ === range.maxZ) {
+        return; // Still in the same cells
+    }
+
+    if (previous) {
+        removeFromGrid(grid, item);
+    }
+    addToCells(grid, item, range);
+    grid.itemCells.set(item, range);
+}
+
+/**
+ * Removes an item from the grid
+ * @param {Object} grid - Grid from createSpatialGrid
+ * @param {*} item - Item to remove
+ */
+export function removeFromGrid(grid, item) {
+    const range = grid.itemCells.get(item);
+    if (!range) return;
+
+    for (let x = range.minX; x <= range.maxX; x++) {
+        for (let z = range.minZ; z <= range.maxZ; z++) {
+            const key = `${x},${z}`;
+            const cell = grid.cells.get(key);
+            if (!cell) continue;
+            cell.delete(item);
+            if (cell.size === 0) {
+                grid.cells.delete(key);
+            }
+        }
+    }
+    grid.itemCells.delete(item);
+}
+
+/**
+ * Finds all items whose cells overlap an XZ region
+ * Results are candidates only - callers still run the narrow-phase test
+ * @param {Object} grid - Grid from createSpatialGrid
+ * @param {Object} min - Query minimum {x, z}
+ * @param {Object} max - Query maximum {x, z}
+ * @returns {Set} Candidate items (each listed once)
+ */
+export function queryGrid(grid, min, max) {
+    const range = getCellRange(grid, min, max);
+    const results = new Set();
+
+    for (let x = range.minX; x <= range.maxX; x++) {
+        for (let z = range.minZ; z <= range.maxZ; z++) {
+            const cell = grid.cells.get(`${x},${z}`);
+            if (!cell) continue;
+            for (const item of cell) {
+                results.add(item);
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * Removes every item from the grid
+ * @param {Object} grid - Grid from createSpatialGrid
+ */
+export function clearGrid(grid) {
+    grid.cells.clear();
+    grid.itemCells.clear();
+}
+
+/**
+ * Computes the XZ bounds of a sphere swept along a segment (for grid insertion and queries)
+ * @param {Object} start - Segment start {x, y, z}
+ * @param {Object} end - Segment end {x, y, z}
+ * @param {number} radius - Sphere radius
+ * @returns {Object} {min: {x, z}, max: {x, z}}
+ */
+export function getSweptBounds(start, end, radius) {
+    return {
+        min: { x: Math.min(start.x, end.x) - radius, z: Math.min(start.z, end.z) - radius },
+        max: { x: Math.max(start.x, end.x) + radius, z: Math.max(start.z, end.z) + radius }
+    };
+}
+
+/**
+ * Computes the world-space AABB enclosing an OBB
+ * @param {Object} obb - OBB from getOBBFromObject
+ * @returns {Object} {min: {x, y, z}, max: {x, y, z}}
+ */
+export function getAABBFromOBB(obb) {
+    const extent = {};
+    for (const axis of ['x', 'y', 'z']) {
+        extent[axis] = Math.abs(obb.axes[0][axis]) * obb.halfExtents.x +
+            Math.abs(obb.axes[1][axis]) * obb.halfExtents.y +
+            Math.abs(obb.axes[2][axis]) * obb.halfExtents.z;
+    }
+
+    return {
+        min: { x: obb.center.x - extent.x, y: obb.center.y - extent.y, z: obb.center.z - extent.z },
+        max: { x: obb.center.x + extent.x, y: obb.center.y + extent.y, z: obb.center.z + extent.z }
+    };
+}
@@ -0,0 +1,104 @@
+/**
+ * gameState.js - Game state machine
+ * Tracks which screen/phase the game is in and runs enter/exit/update hooks
+ * so HUD, input and restart handling only act in valid states
+ */
+
+// All game states
+export const GameState = Object.freeze({
+    TITLE: 'title',
+    COUNTDOWN: 'countdown',
+    PLAYING: 'playing',
+    PAUSED: 'paused',
+    GAME_OVER: 'gameOver',
+    VICTORY: 'victory'
+});
+
+// Allowed transitions (from -> list of valid next states)
+// A manual clock step while paused runs the simulation, so it can end the game too
+const TRANSITIONS = {
+    [GameState.TITLE]: [GameState.COUNTDOWN],
+    [GameState.COUNTDOWN]: [GameState.PLAYING],
+    [GameState.PLAYING]: [GameState.PAUSED, GameState.GAME_OVER, GameState.VICTORY],
+    [GameState.PAUSED]: [GameState.PLAYING, GameState.COUNTDOWN, GameState.GAME_OVER, GameState.VICTORY],
+    [GameState.GAME_OVER]: [GameState.COUNTDOWN],
+    [GameState.VICTORY]: [GameState.COUNTDOWN]
+};
+
+// Registered hooks per state: { enter(data, previousState), exit(nextState), update(frameTime) }
+const stateHooks = {};
+let currentState = null;
+
+/**
+ * Registers the hooks for a state
+ * @param {string} state - One of GameState
+ * @param {Object} hooks - Optional enter, exit and update functions
+ */
+export function registerState(state, hooks) {
+    stateHooks[state] = hooks;
+}
+
+/**
+ * Checks whether the machine can move to a state from the current one
+ * @param {string} nextState - State to check
+ * @returns {boolean} True if the transition is allowed
+ */
+export function canTransition(nextState) {
+    if (currentState === null) return true;
+    return TRANSITIONS[currentState].includes(nextState);
+}
+
+/**
+ * Moves to a new state, running the old state's exit hook and the new state's enter hook
+ * Invalid transitions are ignored
+ * @param {string} nextState - State to enter
+ * @param {Object} data - Optional data passed to the enter hook
+ * @returns {boolean} True if the transition happened
+ */
+export function transitionTo(nextState, data = {}) {
+    if (!canTransition(nextState)) {
+        return false;
+    }
+
+    const previousState = currentState;
+    const previousHooks = stateHooks[previousState];
+    if (previousHooks && previousHooks.exit) {
+        previousHooks.exit(nextState);
+    }
+
+    currentState = nextState;
+
+    const nextHooks = stateHooks[nextState];
+    if (nextHooks && nextHooks.enter) {
+        nextHooks.enter(data, previousState);
+    }
+    return true;
+}
+
+/**
+ * Runs the current state's per-frame update hook
+ * @param {number} frameTime - Wall-clock seconds since the last frame
+ */
+export function updateState(frameTime) {
+    const hooks = stateHooks[currentState];
+    if (hooks && hooks.update) {
+        hooks.update(frameTime);
+    }
+}
+
+/**
+ * Gets the current state
+ * @returns {string|null} Current GameState value
+ */
+export function getState() {
+    return currentState;
+}
+
+/**
+ * Checks whether the game is in any of the given states
+ * @param {...string} states - States to test against
+ * @returns {boolean} True if the current state matches one of them
+ */
+export function isState(...states) {
+    return states.includes(currentState);
+}
@@ -0,0 +1,157 @@
+/**
+ * healthBars.js - World-space enemy health bars
+ * Camera-facing bars floating above every enemy ship, filled from the ship's
+ * remaining hits and hidden when the ship is far away, off screen or sunk
+ */
+
+import * as THREE from 'three';
+
+// Bar sizes (world units) and height above the ship's origin (clears the mast tops)
+const SHIP_BAR = { width: 2.4, height: 0.25, offsetY: 2.8 };
+const BOSS_BAR = { width: 8, height: 0.6, offsetY: 11 };
+const MAX_VISIBLE_DISTANCE = 70; // Bars farther than this from the camera are hidden
+const BORDER = 0.06; // Background margin around the fill
+
+// Fill colors by remaining health
+const HEALTH_COLORS = [
+    { above: 0.6, color: 0x4CAF50 }, // Green
+    { above: 0.3, color: 0xFFC107 }, // Amber
+    { above: 0, color: 0xF44336 }    // Red
+];
+
+// Active bars: target -> { background, fill, size }
+const bars = new Map();
+
+// Shared background material (fills each have their own for per-ship color)
+const backgroundMaterial = new THREE.SpriteMaterial({ color: 0x111111, transparent: true, opacity: 0.7, depthWrite: false });
+
+let barGroup = null;
+
+// Scratch values for visibility tests
+const frustum = new THREE.Frustum();
+const viewProjection = new THREE.Matrix4();
+const barPosition = new THREE.Vector3();
+
+/**
+ * Creates the group that holds every health bar
+ * @param {THREE.Scene} scene - Scene to draw bars in
+ */
+export function initHealthBars(scene) {
+    barGroup = new THREE.Group();
+    scene.add(barGroup);
+}
+
+/**
+ * Builds the bar for a ship
+ * @param {Object} target - Enemy ship
+ * @returns {Object} Bar data
+ */
+function createHealthBar(target) {
+    const size = target.isBoss ? BOSS_BAR : SHIP_BAR;
+
+    const background = new THREE.Sprite(backgroundMaterial);
+    background.scale.set(size.width + BORDER * 2, size.height + BORDER * 2, 1);
+    background.renderOrder = 1;
+
+    const fill = new THREE.Sprite(new THREE.SpriteMaterial({ color: HEALTH_COLORS[0].color, depthWrite: false }));
+    fill.scale.set(size.width, size.height, 1);
+    fill.renderOrder = 2;
+
+    barGroup.add(background);
+    barGroup.add(fill);
+
+    const bar = { background, fill, size };
+    bars.set(target, bar);
+    setHealthBar(target);
+    return bar;
+}
+
+/**
+ * Refreshes a ship's bar from its hit count (call whenever the ship takes damage)
+ * @param {Object} target - Enemy ship
+ */
+export function setHealthBar(target) {
+    const bar = bars.get(target);
+    if (!bar) return;
+
+    const fraction = getHealthFraction(target);
+    const width = bar.size.width * fraction;
+    bar.fill.visible = fraction > 0;
+    if (fraction > 0) {
+        // Sprites always face the camera, so pin the fill's left edge to the background's
+        // by moving its anchor instead of its position
+        bar.fill.scale.x = width;
+        bar.fill.center.x = 0.5 * bar.size.width / width;
+    }
+
+    const { color } = HEALTH_COLORS.find(entry => fraction > entry.above) || HEALTH_COLORS[HEALTH_COLORS.length - 1];
+    bar.fill.material.color.setHex(color);
+}
+
+/**
+ * Gets how much health a ship has left
+ * @param {Object} target - Enemy ship
+ * @returns {number} Remaining health (0 to 1)
+ */
+export function getHealthFraction(target) {
+    return THREE.MathUtils.clamp(1 - target.hits / target.maxHits, 0, 1);
+}
+
+/**
+ * Positions every bar above its ship and hides the ones that shouldn't show
+ * Run after render interpolation so bars track the drawn ship positions
+ * @param {Array} targets - All enemy ships
+ * @param {THREE.Camera} camera - Camera the bars face
+ */
+export function updateHealthBars(targets, camera) {
+    if (!barGroup) return;
+
+    // The camera may have moved this frame and the renderer hasn't refreshed its matrices yet
+    camera.updateMatrixWorld();
+    viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    frustum.setFromProjectionMatrix(viewProjection);
+
+    for (const target of targets) {
+        if (target.destroyed) continue;
+
+        const bar = bars.get(target) || createHealthBar(target);
+        barPosition.copy(target.mesh.position);
+        barPosition.y += bar.size.offsetY;
+
+        const visible = frustum.containsPoint(barPosition) &&
+            barPosition.distanceTo(camera.position) < MAX_VISIBLE_DISTANCE;
+
+        bar.background.visible = visible;
+        bar.fill.visible = visible && getHealthFraction(target) > 0;
+        bar.background.position.copy(barPosition);
+        bar.fill.position.copy(barPosition);
+    }
+
+    // Drop bars of ships that sank or were cleared
+    for (const [target, bar] of bars) {
+        if (target.destroyed || !targets.includes(target)) {
+            removeHealthBar(target, bar);
+        }
+    }
+}
+
+/**
+ * Removes one ship's bar
+ * @param {Object} target - Enemy ship
+ * @param {Object} bar - Its bar data
+ */
+function removeHealthBar(target, bar) {
+    barGroup.remove(bar.background);
+    barGroup.remove(bar.fill);
+    bar.fill.material.dispose();
+    bars.delete(target);
+}
+
+/**
+ * Removes every bar (for restart)
+ */
+export function clearHealthBars() {
+    for (const [target, bar] of bars) {
+        removeHealthBar(target, bar);
+    }
+}
@@ -13,6 +13,24 @@ let restartButton;
 let treasureElement;
 let healthElement;
 let cameraModeElement;
+let windArrowElement;
+let windStrengthElement;
+let ammoElement;
+let pauseMenuElement;
+let pauseMainElement;
+let pauseSettingsElement;
+let timeScaleSetting;
+let pauseOnBlurSetting;
+let titleScreenElement;
+let countdownElement;
+let countdownValueElement;
+let debugOverlayElement;
+let announcementElement;
+let announcementTitleElement;
+let announcementTextElement;
+let bossBarElement;
+let bossBarFillElement;
+let bossBarLabelElement;
 
 /**
  * Initializes HUD element references
@@ -27,6 +45,24 @@ export function initHUD() {
     treasureElement = document.getElementById('treasures');
     healthElement = document.getElementById('health');
     cameraModeElement = document.getElementById('camera-mode');
+    windArrowElement = document.getElementById('wind-arrow');
+    windStrengthElement = document.getElementById('wind-strength');
+    ammoElement = document.getElementById('ammo-name');
+    pauseMenuElement = document.getElementById('pause-menu');
+    pauseMainElement = document.getElementById('pause-main');
+    pauseSettingsElement = document.getElementById('pause-settings');
+    timeScaleSetting = document.getElementById('setting-time-scale');
+    pauseOnBlurSetting = document.getElementById('setting-pause-on-blur');
+    titleScreenElement = document.getElementById('title-screen');
+    countdownElement = document.getElementById('countdown');
+    countdownValueElement = document.getElementById('countdown-value');
+    debugOverlayElement = document.getElementById('debug-overlay');
+    announcementElement = document.getElementById('announcement');
+    announcementTitleElement = document.getElementById('announcement-title');
+    announcementTextElement = document.getElementById('announcement-text');
+    bossBarElement = document.getElementById('boss-bar');
+    bossBarFillElement = document.getElementById('boss-bar-fill');
+    bossBarLabelElement = document.getElementById('boss-bar-label');
 }
 
 /**
@@ -96,6 +132,130 @@ export function addRestartListener(callback) {
     }
 }
 
+/**
+ * Shows the title screen
+ */
+export function showTitleScreen() {
+    if (titleScreenElement) {
+        titleScreenElement.classList.remove('hidden');
+    }
+}
+
+/**
+ * Hides the title screen
+ */
+export function hideTitleScreen() {
+    if (titleScreenElement) {
+        titleScreenElement.classList.add('hidden');
+    }
+}
+
+/**
+ * Adds title screen start button listener
+ * @param {Function} callback - Function to call on start
+ */
+export function addStartListener(callback) {
+    const startButton = document.getElementById('start-btn');
+    if (startButton) {
+        startButton.addEventListener('click', callback);
+    }
+}
+
+/**
+ * Shows the pre-game countdown
+ * @param {number} secondsRemaining - Seconds until play starts
+ */
+export function showCountdown(secondsRemaining) {
+    if (countdownElement && countdownValueElement) {
+        countdownValueElement.textContent = Math.ceil(secondsRemaining);
+        countdownElement.classList.remove('hidden');
+    }
+}
+
+/**
+ * Hides the pre-game countdown
+ */
+export function hideCountdown() {
+    if (countdownElement) {
+        countdownElement.classList.add('hidden');
+    }
+}
+
+/**
+ * Shows the pause menu (always opening on the main page, not settings)
+ */
+export function showPauseMenu() {
+    if (pauseMenuElement) {
+        showPauseSettings(false);
+        pauseMenuElement.classList.remove('hidden');
+    }
+}
+
+/**
+ * Hides the pause menu
+ */
+export function hidePauseMenu() {
+    if (pauseMenuElement) {
+        pauseMenuElement.classList.add('hidden');
+    }
+}
+
+/**
+ * Switches the pause menu between its main buttons and the settings page
+ * @param {boolean} visible - True to show settings
+ */
+function showPauseSettings(visible) {
+    if (pauseMainElement && pauseSettingsElement) {
+        pauseMainElement.classList.toggle('hidden', visible);
+        pauseSettingsElement.classList.toggle('hidden', !visible);
+    }
+}
+
+/**
+ * Gets the current pause menu settings
+ * @returns {Object} {timeScale, pauseOnBlur}
+ */
+export function getPauseSettings() {
+    return {
+        timeScale: timeScaleSetting ? parseFloat(timeScaleSetting.value) : 1,
+        pauseOnBlur: pauseOnBlurSetting ? pauseOnBlurSetting.checked : true
+    };
+}
+
+/**
+ * Adds pause menu button and settings listeners
+ * @param {Function} onResume - Called when Resume is clicked
+ * @param {Function} onRestart - Called when Restart is clicked
+ * @param {Function} onSettingsChange - Called with getPauseSettings() when a setting changes
+ */
+export function addPauseMenuListeners(onResume, onRestart, onSettingsChange) {
+    const resumeButton = document.getElementById('resume-btn');
+    const pauseRestartButton = document.getElementById('pause-restart-btn');
+    const settingsButton = document.getElementById('settings-btn');
+    const settingsBackButton = document.getElementById('settings-back-btn');
+
+    if (resumeButton) {
+        resumeButton.addEventListener('click', onResume);
+    }
+    if (pauseRestartButton) {
+        pauseRestartButton.addEventListener('click', onRestart);
+    }
+    if (settingsButton) {
+        settingsButton.addEventListener('click', () => showPauseSettings(true));
+    }
+    if (settingsBackButton) {
+        settingsBackButton.addEventListener('click', () => showPauseSettings(false));
+    }
+
+    const notifySettings = () => onSettingsChange(getPauseSettings());
+    if (timeScaleSetting) {
+        timeScaleSetting.addEventListener('change', notifySettings);
+    }
+    if (pauseOnBlurSetting) {
+        pauseOnBlurSetting.addEventListener('change', notifySettings);
+    }
+}
+
 /**
  * Updates the treasure count display
  * @param {number} collected - Number of treasures collected
@@ -114,8 +274,9 @@ export function updateTreasureCount(collected, total) {
  */
 export function updateHealth(current, max) {
     if (healthElement) {
-        // Display hearts (♥) based on health
-        const hearts = '♥'.repeat(current) + '♡'.repeat(max - current);
+        // Display hearts (♥) based on health - a chipped heart stays until it is fully lost
+        const filled = Math.max(0, Math.min(max, Math.ceil(current)));
+        const hearts = '♥'.repeat(filled) + '♡'.repeat(max - filled);
         healthElement.textContent = hearts;
     }
 }
@@ -130,6 +291,101 @@ export function updateCameraMode(isFreeCameraMode) {
     }
 }
 
+/**
+ * Updates the wind indicator
+ * @param {number} relativeHeading - Wind heading relative to the player ship (radians, 0 = blowing forward)
+ * @param {number} strength - Wind speed in m/s
+ */
+export function updateWindDisplay(relativeHeading, strength) {
+    if (windArrowElement) {
+        // Arrow points up for a tailwind; positive heading turns the ship left, so negate for CSS
+        windArrowElement.style.transform = `rotate(${-relativeHeading}rad)`;
+    }
+    if (windStrengthElement) {
+        windStrengthElement.textContent = strength.toFixed(1);
+    }
+}
+
+/**
+ * Updates the loaded ammo indicator
+ * @param {string} name - Display name of the loaded shot type
+ */
+export function updateAmmoDisplay(name) {
+    if (ammoElement) {
+        ammoElement.textContent = name;
+    }
+}
+
+/**
+ * Flashes a banner across the screen (e.g. a boss phase change); it fades out on its own
+ * @param {string} title - Large headline
+ * @param {string} text - Optional line underneath
+ */
+export function showAnnouncement(title, text = '') {
+    if (!announcementElement) return;
+
+    announcementTitleElement.textContent = title;
+    announcementTextElement.textContent = text;
+
+    // Restart the fade animation even if a banner is already showing
+    announcementElement.classList.remove('show');
+    void announcementElement.offsetWidth;
+    announcementElement.classList.add('show');
+}
+
+/**
+ * Hides the announcement banner immediately
+ */
+export function hideAnnouncement() {
+    if (announcementElement) {
+        announcementElement.classList.remove('show');
+    }
+}
+
+/**
+ * Shows or hides the boss health bar
+ * @param {boolean} visible - Whether the bar should be shown
+ */
+export function showBossBar(visible) {
+    if (bossBarElement) {
+        bossBarElement.classList.toggle('hidden', !visible);
+    }
+}
+
+/**
+ * Updates the boss health bar
+ * @param {number} fraction - Remaining boss health (0 to 1)
+ * @param {string} label - Text shown on the bar (boss name and phase)
+ */
+export function updateBossHealth(fraction, label) {
+    if (bossBarFillElement) {
+        bossBarFillElement.style.width = `${Math.max(0, Math.min(1, fraction)) * 100}%`;
+    }
+    if (bossBarLabelElement) {
+        bossBarLabelElement.textContent = label;
+    }
+}
+
+/**
+ * Shows or hides the debug overlay
+ * @param {boolean} visible - Whether the overlay should be shown
+ */
+export function showDebugOverlay(visible) {
+    if (debugOverlayElement) {
+        debugOverlayElement.classList.toggle('hidden', !visible);
+    }
+}
+
+/**
+ * Updates the debug overlay text
+ * @param {Array<string>} lines - One line per statistic
+ */
+export function updateDebugOverlay(lines) {
+    if (debugOverlayElement) {
+        debugOverlayElement.textContent = lines.join('\n');
+    }
+}
+
 /**
  * Resets HUD to initial state
  */
@@ -141,5 +397,8 @@ export function resetHUD() {
     updateHealth(4, 4);
     updateCameraMode(false);
     hideGameOver();
+    hidePauseMenu();
+    hideAnnouncement();
+    showBossBar(false);
 }
 
@@ -4,6 +4,8 @@
  */
 
 import { clamp, degToRad } from './utils.js';
+import { getSailSpeedMultiplier } from './wind.js';
+import { getTime } from './clock.js';
 
 // Input state
 let isCharging = false;
@@ -40,7 +42,7 @@ const MIN_PITCH = 0; // horizontal
 const MAX_PITCH = 90; // straight up
 const MIN_YAW = -Math.PI / 2; // -90 degrees (facing right edge of block area)
 const MAX_YAW = Math.PI / 2;  // +90 degrees (facing left edge of block area)
-const BOUNDARY_RADIUS = 60; // Maximum distance from origin (large enough to reach all treasures)
+export const BOUNDARY_RADIUS = 60; // Maximum distance from origin (large enough to reach all treasures)
 
 /**
  * Initializes input event listeners
@@ -152,10 +154,11 @@ export function updateShipMovement(deltaTime, cannonGroup) {
         shipRotation -= SHIP_ROTATION_SPEED * deltaTime;
     }
 
-    // W key - move forward in the direction the ship is facing
+    // W key - move forward in the direction the ship is facing (sails catch the wind)
     if (keysPressed.w) {
-        const moveX = -Math.sin(shipRotation) * FORWARD_SPEED * deltaTime;
-        const moveZ = -Math.cos(shipRotation) * FORWARD_SPEED * deltaTime;
+        const sailSpeed = FORWARD_SPEED * getSailSpeedMultiplier(shipRotation);
+        const moveX = -Math.sin(shipRotation) * sailSpeed * deltaTime;
+        const moveZ = -Math.cos(shipRotation) * sailSpeed * deltaTime;
         cannonGroup.position.x += moveX;
         cannonGroup.position.z += moveZ;
     }
@@ -186,7 +189,7 @@ export function updateShipMovement(deltaTime, cannonGroup) {
 function onMouseDown(event) {
     if (event.button === 0) { // Left mouse button
         isCharging = true;
-        chargeStartTime = performance.now() / 1000;
+        chargeStartTime = getTime();
         currentCharge = 0;
     }
 }
@@ -202,7 +205,7 @@ function onMouseUp(event) {
 
 /**
  * Updates charging state
- * @param {number} currentTime - Current time in seconds
+ * @param {number} currentTime - Current game time in seconds
  * @returns {number} Charge fraction (0 to 1)
  */
 export function updateCharging(currentTime) {
@@ -273,6 +276,70 @@ export function setCameraModeCallback(callback) {
     updateCameraModeCallback = callback;
 }
 
+/**
+ * Clears held keys and any charge in progress (e.g. when the game pauses,
+ * since key releases while paused or unfocused would otherwise be missed)
+ */
+export function resetInputState() {
+    for (const key in keysPressed) {
+        keysPressed[key] = false;
+    }
+    resetCharge();
+}
+
+/**
+ * Adds keyboard listener for pausing (Escape or P)
+ * @param {Function} pauseCallback - Function to call to toggle pause
+ */
+export function addPauseListener(pauseCallback) {
+    document.addEventListener('keydown', (event) => {
+        if (event.repeat) return;
+        if (event.key === 'Escape' || event.key === 'p' || event.key === 'P') {
+            pauseCallback();
+            event.preventDefault();
+        }
+    });
+}
+
+/**
+ * Adds keyboard listener for ammo selection (number keys)
+ * @param {Function} ammoCallback - Function called with the number key pressed ('1'-'9')
+ */
+export function addAmmoSelectListener(ammoCallback) {
+    document.addEventListener('keydown', (event) => {
+        if (event.repeat) return;
+        if (event.key >= '1' && event.key <= '9') {
+            ammoCallback(event.key);
+        }
+    });
+}
+
+/**
+ * Adds keyboard listener for the debug overlay (F3 or backquote)
+ * @param {Function} debugCallback - Function to call to toggle the overlay
+ */
+export function addDebugToggleListener(debugCallback) {
+    document.addEventListener('keydown', (event) => {
+        if (event.repeat) return;
+        if (event.key === 'F3' || event.code === 'Backquote') {
+            debugCallback();
+            event.preventDefault();
+        }
+    });
+}
+
+/**
+ * Adds keyboard listener for starting from the title screen (Enter)
+ * @param {Function} startCallback - Function to call on start
+ */
+export function addStartListener(startCallback) {
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            startCallback();
+        }
+    });
+}
+
 /**
  * Adds keyboard listener for restart
  * @param {Function} restartCallback - Function to call on restart
@@ -0,0 +1,87 @@
+/**
+ * interpolation.js - Render interpolation between simulation ticks
+ * Blends object transforms between the previous and current fixed-step states
+ * so motion stays smooth when the display rate differs from the simulation rate
+ */
+
+import * as THREE from 'three';
+import { lerp } from './utils.js';
+
+// Tracked objects: Object3D -> { previous/current position and yaw }
+// Ships only ever turn around Y, so yaw is interpolated directly rather than
+// via quaternions (which would rewrite rotation.x/z when Euler angles are re-derived)
+const trackedTransforms = new Map();
+
+/**
+ * Records the transforms of objects before a simulation tick advances them
+ * Objects not passed in are no longer interpolated (e.g. despawned projectiles)
+ * @param {Array<THREE.Object3D>} objects - Objects moved by the simulation
+ */
+export function captureTransforms(objects) {
+    const stale = new Set(trackedTransforms.keys());
+
+    for (const object of objects) {
+        let entry = trackedTransforms.get(object);
+        if (!entry) {
+            entry = {
+                previousPosition: new THREE.Vector3(),
+                currentPosition: new THREE.Vector3(),
+                previousYaw: 0,
+                currentYaw: 0
+            };
+            trackedTransforms.set(object, entry);
+        }
+        entry.previousPosition.copy(object.position);
+        entry.previousYaw = object.rotation.y;
+        stale.delete(object);
+    }
+
+    for (const object of stale) {
+        trackedTransforms.delete(object);
+    }
+}
+
+/**
+ * Moves tracked objects to their interpolated render transforms
+ * Must be paired with restoreTransforms() after rendering
+ * @param {number} alpha - Fraction of a tick elapsed since the last simulation step (0 to 1)
+ */
+export function applyInterpolation(alpha) {
+    for (const [object, entry] of trackedTransforms) {
+        entry.currentPosition.copy(object.position);
+        entry.currentYaw = object.rotation.y;
+
+        // Take the short way around when the yaw wraps
+        let yawDelta = entry.currentYaw - entry.previousYaw;
+        yawDelta = Math.atan2(Math.sin(yawDelta), Math.cos(yawDelta));
+
+        object.position.lerpVectors(entry.previousPosition, entry.currentPosition, alpha);
+        object.rotation.y = lerp(entry.currentYaw - yawDelta, entry.currentYaw, alpha);
+    }
+}
+
+/**
+ * Restores tracked objects to their simulation transforms after rendering
+ */
+export function restoreTransforms() {
+    for (const [object, entry] of trackedTransforms) {
+        object.position.copy(entry.currentPosition);
+        object.rotation.y = entry.currentYaw;
+    }
+}
+
+/**
+ * Stops interpolating one object (e.g. a pooled mesh about to be reused elsewhere,
+ * so it doesn't blend from where its previous owner was)
+ * @param {THREE.Object3D} object - Object to forget
+ */
+export function forgetTransform(object) {
+    trackedTransforms.delete(object);
+}
+
+/**
+ * Stops interpolating all objects (for restart, so nothing blends from old positions)
+ */
+export function clearInterpolation() {
+    trackedTransforms.clear();
+}
@@ -4,30 +4,62 @@
  */
 
 import * as THREE from 'three';
-import { createScene, handleResize, scene, camera, renderer, controls, updateWater, updateShipWakes, updateCamera } from './scene.js';
-import { createCannon, setYawPitch, getMuzzlePosition, getFiringDirection, cannonGroup } from './cannon.js';
-import { spawnProjectile, updateProjectiles, getProjectiles, clearAllProjectiles, killProjectile, despawnProjectile, createExplosion } from './projectile.js';
-import { spawnTargets, updateTargets, getTargets, clearAllTargets, resetTarget, hitTarget, spawnBossShip } from './targets.js';
+import { createScene, handleResize, scene, camera, renderer, controls, updateWater, updateShipWakes, updateCamera, getPlayerVelocity, resetShipVelocities } from './scene.js';
+import { createCannon, setYawPitch, getMuzzlePosition, getFiringDirection, updateSails, cannonGroup } from './cannon.js';
+import { initProjectiles, spawnProjectile, updateProjectiles, updateExplosions, getProjectiles, clearAllProjectiles, killProjectile, despawnProjectile, createExplosion, addImpactListener, reportImpact, createBossLaser, updateLasers, clearAllLasers } from './projectile.js';
+import { spawnTargets, updateTargets, getTargets, getTargetHitRegions, queryTargets, queryTargetsInRadius, getDistanceToTarget, clearAllTargets, resetTarget, hitTarget, spawnBossShip, addBossPhaseListener, spawnEscorts, getBossPhaseName } from './targets.js';
 import { spawnTreasures, updateTreasures, checkTreasureCollection, collectTreasure, clearAllTreasures, getCollectedCount, getTotalCount } from './treasures.js';
-import { sphereVsAABB, getAABBFromMesh } from './collision.js';
-import { initInput, updateAiming, updateCharging, checkFire, getAimAngles, getCurrentCharge, updateShipMovement, addRestartListener as addInputRestartListener, resetShipPosition, isFreeCameraMode, setCameraModeCallback } from './input.js';
-import { initHUD, updateScore, updateTimer, updatePowerBar, showGameOver, hideGameOver, addRestartListener, resetHUD, updateTreasureCount, updateHealth, updateCameraMode } from './hud.js';
+import { sweptSphereVsRegions, sweptSphereVsSphere, createSpatialGrid, updateInGrid, queryGrid, clearGrid, getSweptBounds } from './collision.js';
+import { initInput, updateAiming, updateCharging, checkFire, getAimAngles, getCurrentCharge, updateShipMovement, addRestartListener as addInputRestartListener, addPauseListener, addStartListener as addInputStartListener, addAmmoSelectListener, addDebugToggleListener, resetInputState, resetCharge, resetShipPosition, isFreeCameraMode, setCameraModeCallback } from './input.js';
+import { initHUD, updateScore, updateTimer, updatePowerBar, showGameOver, hideGameOver, addRestartListener, resetHUD, updateTreasureCount, updateHealth, updateCameraMode, updateWindDisplay, updateAmmoDisplay, showPauseMenu, hidePauseMenu, addPauseMenuListeners, getPauseSettings, showTitleScreen, hideTitleScreen, addStartListener, showCountdown, hideCountdown, showDebugOverlay, updateDebugOverlay, showAnnouncement, showBossBar, updateBossHealth } from './hud.js';
+import { resetWind, updateWind, getWindVector, getWindHeading, getWindStrength } from './wind.js';
+import { captureTransforms, applyInterpolation, restoreTransforms, clearInterpolation } from './interpolation.js';
+import { FIXED_TIMESTEP, getTime, advanceClock, tick, getInterpolationAlpha, resetAccumulator, setPaused, setTimeScale } from './clock.js';
+import { GameState, registerState, transitionTo, updateState, isState } from './gameState.js';
+import { getCurrentAmmo, getAmmoForKey, selectAmmo, resetAmmo } from './ammo.js';
+import { spawnSplash, updateSplashes, clearSplashes } from './splashes.js';
+import { initParticles, updateParticles, clearParticles, getParticleStats } from './particles.js';
+import { getPoolStats } from './pool.js';
+import { initHealthBars, setHealthBar, updateHealthBars, clearHealthBars, getHealthFraction } from './healthBars.js';
+import { leaveSquadron, clearSquadrons } from './squadrons.js';
 
 // Game state
-let gameActive = false;
 let score = 0;
 let startTime = 0;
 let lastFrameTime = 0;
-let gameOverReason = 'timeout'; // 'timeout', 'collision', 'hit', or 'victory'
+let countdownRemaining = 0; // Seconds left in the pre-game countdown
+let pauseOnBlur = true; // Auto-pause when the window loses focus (pause menu setting)
+let debugOverlayVisible = false; // Pool/particle/renderer statistics (F3 or backquote)
+let debugOverlayTimer = 0; // Wall-clock seconds until the overlay text refreshes
 let playerHealth = 4; // Player health (max 4)
+let cannonCharge = 0; // Latest firing charge (0 to 1), drawn on the power bar once per frame
 const MAX_HEALTH = 4;
 
 // Game configuration
 const GAME_DURATION = 60; // seconds
+const COUNTDOWN_DURATION = 3; // seconds
 const MIN_POWER = 10;
 const MAX_POWER = 40;
 const TREASURE_COUNT = 6; // Number of treasure chests
 const SHIPS_PER_TREASURE = 1; // Guard ships per treasure
+const SQUADRON_SIZE = 3; // Guard ships sailing together under one leader
+const CRITICAL_HIT_BONUS = 2; // Extra points for a bridge hit
+const PLAYER_HIT_RADIUS = 2.5; // Player ship hit radius for enemy shots
+const BOSS_LASER_DAMAGE = 2; // Health lost to a boss laser hit
+const DEBUG_OVERLAY_INTERVAL = 0.25; // seconds between debug overlay refreshes
+
+// Broad phase for projectile-vs-projectile checks (rebuilt every tick)
+const PROJECTILE_GRID_CELL_SIZE = 4;
+const projectileGrid = createSpatialGrid(PROJECTILE_GRID_CELL_SIZE);
+
+// Game over messages by reason
+const GAME_OVER_MESSAGES = {
+    timeout: "Time's Up!",
+    collision: 'Ship Collision!',
+    boss: 'Obliterated by Boss!',
+    laser: 'Vaporized by the Boss Laser!',
+    hit: 'Hit by Enemy Fire!'
+};
 
 /**
  * Initializes the game
@@ -39,22 +71,52 @@ function init() {
     // Create scene and renderer
     createScene(container);
     
+    // Shared particle system (trails, explosions, spray)
+    initParticles(scene);
+
+    // Fixed set of glow lights for shots and lasers
+    initProjectiles(scene);
+
+    // Health bars floating over enemy ships
+    initHealthBars(scene);
+
     // Create cannon
     createCannon(scene);
     
     // Initialize input
     initInput(renderer.domElement);
     addInputRestartListener(restartGame);
+    addPauseListener(togglePause);
+    addInputStartListener(beginGame);
+    addAmmoSelectListener(changeAmmo);
+    addDebugToggleListener(toggleDebugOverlay);
+
+    // Splash damage from every shot that hits a ship or the water
+    addImpactListener(onProjectileImpact);
+
+    // Boss phase changes: announce and call in escorts
+    addBossPhaseListener(onBossPhaseChange);
 
     // Initialize HUD
     initHUD();
     addRestartListener(restartGame);
+    addStartListener(beginGame);
+    addPauseMenuListeners(resumeGame, restartGame, applySettings);
+    applySettings(getPauseSettings());
+
+    // Pause automatically when the player switches away
+    window.addEventListener('blur', () => {
+        if (pauseOnBlur) {
+            pauseGame();
+        }
+    });
 
     // Connect camera mode toggle to HUD indicator
     setCameraModeCallback(updateCameraMode);
-    
-    // Start game
-    startGame();
+
+    // Register game state hooks and show the title screen
+    registerGameStates();
+    transitionTo(GameState.TITLE);
     
     // Handle window resize
     window.addEventListener('resize', handleResize);
@@ -64,16 +126,102 @@ function init() {
 }
 
 /**
- * Starts or restarts the game
+ * Registers enter/exit/update hooks for every game state
+ */
+function registerGameStates() {
+    registerState(GameState.TITLE, {
+        enter: () => {
+            // Populate the world as a backdrop behind the title screen
+            startGame();
+            showTitleScreen();
+        },
+        exit: hideTitleScreen
+    });
+
+    registerState(GameState.COUNTDOWN, {
+        enter: (data, previousState) => {
+            // The title screen already spawned a fresh world
+            if (previousState !== GameState.TITLE) {
+                startGame();
+            }
+            countdownRemaining = COUNTDOWN_DURATION;
+            showCountdown(countdownRemaining);
+        },
+        update: (frameTime) => {
+            countdownRemaining -= frameTime;
+            if (countdownRemaining <= 0) {
+                transitionTo(GameState.PLAYING);
+            } else {
+                showCountdown(countdownRemaining);
+            }
+        },
+        exit: hideCountdown
+    });
+
+    registerState(GameState.PLAYING, {
+        enter: (data, previousState) => {
+            // Ignore any charge started during the countdown
+            if (previousState === GameState.COUNTDOWN) {
+                resetCharge();
+            }
+        },
+        update: runSimulation
+    });
+
+    registerState(GameState.PAUSED, {
+        enter: () => {
+            setPaused(true);
+            resetInputState();
+            cannonCharge = 0;
+            updatePowerBar(0);
+            showPauseMenu();
+        },
+        // Manual clock steps still run while paused
+        update: runSimulation,
+        exit: () => {
+            setPaused(false);
+            resetInputState();
+            hidePauseMenu();
+        }
+    });
+
+    registerState(GameState.GAME_OVER, {
+        enter: (data) => {
+            showGameOver(score, GAME_OVER_MESSAGES[data.reason] || GAME_OVER_MESSAGES.timeout);
+        },
+        exit: hideGameOver
+    });
+
+    registerState(GameState.VICTORY, {
+        enter: () => {
+            showGameOver(score, 'Congrats! You Won!');
+        },
+        exit: hideGameOver
+    });
+}
+
+/**
+ * Resets score, health, wind and spawns a fresh world
  */
 function startGame() {
-    gameActive = true;
     score = 0;
-    startTime = performance.now() / 1000;
+    startTime = getTime();
+    cannonCharge = 0;
+    resetAccumulator();
     playerHealth = MAX_HEALTH; // Reset health
 
+    // Pick a new prevailing wind
+    resetWind();
+
+    // Back to round shot
+    resetAmmo();
+
     // Clear existing game objects
     clearAllProjectiles(scene);
+    clearSplashes();
+    clearParticles();
+    clearHealthBars();
+    clearSquadrons();
     clearAllTargets(scene);
     clearAllTreasures(scene);
 
@@ -81,68 +229,233 @@ function startGame() {
     cannonGroup.position.set(0, 0, 40);
     cannonGroup.rotation.y = 0;
     resetShipPosition();
+    resetShipVelocities();
+    clearInterpolation();
 
     // Spawn treasure chests first (includes mega chest)
     const { treasurePositions, megaChestPosition } = spawnTreasures(scene, TREASURE_COUNT);
 
-    // Spawn guard ships around each treasure (1 ship per treasure)
-    spawnTargets(scene, treasurePositions, SHIPS_PER_TREASURE);
+    // Spawn guard ships around each treasure (1 ship per treasure), grouped into squadrons
+    spawnTargets(scene, treasurePositions, SHIPS_PER_TREASURE, SQUADRON_SIZE);
 
     // Spawn the boss ship near the mega chest but patrolling in front of it
+    let boss = null;
     if (megaChestPosition) {
-        spawnBossShip(scene, megaChestPosition.x, megaChestPosition.z + 10);
+        boss = spawnBossShip(scene, megaChestPosition.x, megaChestPosition.z + 10);
     }
 
     // Reset HUD
     resetHUD();
+    if (boss) {
+        updateBossBar(boss);
+        showBossBar(true);
+    }
     updateTreasureCount(0, getTotalCount());
     updatePlayerHealth(playerHealth);
+    updateWindDisplay(getWindHeading() - cannonGroup.rotation.y, getWindStrength());
+    updateAmmoDisplay(getCurrentAmmo().name);
+}
+
+/**
+ * Starts play from the title screen (Enter or Set Sail button)
+ */
+function beginGame() {
+    if (isState(GameState.TITLE)) {
+        transitionTo(GameState.COUNTDOWN);
+    }
 }
 
 /**
- * Restarts the game
+ * Restarts the game (only from pause, game over or victory)
  */
 function restartGame() {
-    startGame();
+    if (isState(GameState.PAUSED, GameState.GAME_OVER, GameState.VICTORY)) {
+        transitionTo(GameState.COUNTDOWN);
+    }
+}
+
+/**
+ * Pauses the game: freezes the game clock (simulation, timer, effects and water)
+ */
+function pauseGame() {
+    if (isState(GameState.PLAYING)) {
+        transitionTo(GameState.PAUSED);
+    }
+}
+
+/**
+ * Resumes the game from pause
+ */
+function resumeGame() {
+    if (isState(GameState.PAUSED)) {
+        transitionTo(GameState.PLAYING);
+    }
+}
+
+/**
+ * Toggles pause (Escape / P)
+ */
+function togglePause() {
+    if (isState(GameState.PAUSED)) {
+        resumeGame();
+    } else {
+        pauseGame();
+    }
+}
+
+/**
+ * Loads the shot type bound to a number key (1-4)
+ * @param {string} key - Number key pressed
+ */
+function changeAmmo(key) {
+    const ammo = getAmmoForKey(key);
+    if (ammo && isState(GameState.PLAYING, GameState.COUNTDOWN)) {
+        selectAmmo(ammo.id);
+        updateAmmoDisplay(ammo.name);
+    }
+}
+
+/**
+ * Applies pause menu settings
+ * @param {Object} settings - {timeScale, pauseOnBlur}
+ */
+function applySettings(settings) {
+    setTimeScale(settings.timeScale);
+    pauseOnBlur = settings.pauseOnBlur;
 }
 
 /**
  * Main animation loop
+ * Runs the current state's update and renders the scene
  */
 function animate() {
     requestAnimationFrame(animate);
     
+    // Wall-clock time only feeds the game clock and countdown; everything else reads game time
     const currentTime = performance.now() / 1000;
-    const deltaTime = lastFrameTime > 0 ? currentTime - lastFrameTime : 0.016;
+    const frameTime = lastFrameTime > 0 ? currentTime - lastFrameTime : FIXED_TIMESTEP;
     lastFrameTime = currentTime;
-    
+
+    updateState(frameTime);
+
+    // Blend between the last two simulation states for smooth rendering
+    const simulating = isState(GameState.PLAYING, GameState.PAUSED);
+    applyInterpolation(simulating ? getInterpolationAlpha() : 1);
+
     // Update camera to follow ship (or enable free camera mode)
     updateCamera(cannonGroup, isFreeCameraMode());
 
-    if (gameActive) {
-        // Update game timer
-        const elapsed = currentTime - startTime;
-        const timeRemaining = GAME_DURATION - elapsed;
-        updateTimer(timeRemaining);
-        
-        // Check if time is up
-        if (timeRemaining <= 0) {
-            gameOverReason = 'timeout';
-            endGame();
-        } else {
-            // Update game logic
-            updateGame(currentTime, deltaTime);
-        }
-    }
+    // Place health bars over the interpolated ship positions
+    updateHealthBars(getTargets(), camera);
     
     // Render scene
     renderer.render(scene, camera);
+
+    restoreTransforms();
+
+    if (debugOverlayVisible) {
+        refreshDebugOverlay(frameTime);
+    }
+}
+
+/**
+ * Shows or hides the debug statistics overlay
+ */
+function toggleDebugOverlay() {
+    debugOverlayVisible = !debugOverlayVisible;
+    debugOverlayTimer = 0;
+    showDebugOverlay(debugOverlayVisible);
+}
+
+/**
+ * Refreshes the debug overlay with pool, particle and renderer statistics
+ * @param {number} frameTime - Wall-clock seconds since the last frame
+ */
+function refreshDebugOverlay(frameTime) {
+    debugOverlayTimer -= frameTime;
+    if (debugOverlayTimer > 0) return;
+    debugOverlayTimer = DEBUG_OVERLAY_INTERVAL;
+
+    const particles = getParticleStats();
+    const lines = [
+        `FPS: ${Math.round(1 / Math.max(frameTime, 1e-6))}`,
+        `Draw calls: ${renderer.info.render.calls}  Geometries: ${renderer.info.memory.geometries}`,
+        `Particles: ${particles.inUse}/${particles.capacity} (${particles.simulated} moving)`,
+        'Pools (in use / free / created / reused / missed):'
+    ];
+    for (const pool of getPoolStats()) {
+        lines.push(`  ${pool.name}: ${pool.inUse} / ${pool.free} / ${pool.created} / ${pool.reused} / ${pool.missed}`);
+    }
+    updateDebugOverlay(lines);
+}
+
+/**
+ * Advances the simulation in fixed ticks until it catches up with the game clock
+ * @param {number} frameTime - Wall-clock seconds since the last frame
+ */
+function runSimulation(frameTime) {
+    const ticks = advanceClock(frameTime);
+
+    for (let i = 0; i < ticks && isState(GameState.PLAYING, GameState.PAUSED); i++) {
+        captureTransforms(getSimulatedObjects());
+        tick();
+        stepSimulation();
+    }
+
+    // HUD readouts are written once per rendered frame, however many ticks ran
+    refreshHUD();
+}
+
+/**
+ * Writes the timer, wind and power bar readouts from the latest simulation state
+ */
+function refreshHUD() {
+    updateTimer(GAME_DURATION - (getTime() - startTime));
+    updateWindDisplay(getWindHeading() - cannonGroup.rotation.y, getWindStrength());
+    updatePowerBar(cannonCharge);
 }
 
 /**
- * Updates game logic each frame
+ * Advances the game by one fixed simulation tick
+ */
+function stepSimulation() {
+    // Game timer (shown on the HUD by refreshHUD)
+    const elapsed = getTime() - startTime;
+    const timeRemaining = GAME_DURATION - elapsed;
+
+    // Check if time is up
+    if (timeRemaining <= 0) {
+        endGame('timeout');
+    } else {
+        // Update game logic
+        updateGame(getTime(), FIXED_TIMESTEP);
+    }
+}
+
+/**
+ * Gets every object whose transform the simulation moves (for render interpolation)
+ * @returns {Array<THREE.Object3D>} Player ship, live enemy ships and projectiles
+ */
+function getSimulatedObjects() {
+    const objects = [cannonGroup];
+    for (const target of getTargets()) {
+        if (!target.destroyed) objects.push(target.mesh);
+    }
+    for (const proj of getProjectiles()) {
+        objects.push(proj.mesh);
+    }
+    return objects;
+}
+
+/**
+ * Updates game logic for one simulation tick
+ * @param {number} currentTime - Simulation time in seconds
+ * @param {number} deltaTime - Fixed tick length in seconds
  */
 function updateGame(currentTime, deltaTime) {
+    // Update wind gusts (shown on the HUD by refreshHUD)
+    updateWind(deltaTime);
+
     // Update ship movement with arrow keys
     updateShipMovement(deltaTime, cannonGroup);
 
@@ -151,9 +464,11 @@ function updateGame(currentTime, deltaTime) {
     const { yaw, pitch } = getAimAngles();
     setYawPitch(yaw, pitch);
 
+    // Fill the sails and stream the flag with the wind
+    updateSails(getWindVector(), deltaTime);
+
     // Update charging
-    const charge = updateCharging(currentTime);
-    updatePowerBar(charge);
+    cannonCharge = updateCharging(currentTime);
 
     // Check for firing
     const fireCharge = checkFire();
@@ -161,11 +476,18 @@ function updateGame(currentTime, deltaTime) {
         fireCannon(fireCharge);
     }
 
-    // Update projectiles with physics
+    // Update projectiles with physics (water splashdowns can end the game)
     updateProjectiles(deltaTime, scene);
+    updateExplosions(deltaTime);
+    updateParticles(deltaTime);
+    if (!isState(GameState.PLAYING, GameState.PAUSED)) return;
 
-    // Update targets with enemy shooting AI (boss uses one-shot projectile)
-    updateTargets(deltaTime, cannonGroup.position, shootEnemyProjectile, shootBossProjectile);
+    // Update targets with enemy shooting AI (boss uses one-shot projectile and its laser)
+    updateTargets(deltaTime, cannonGroup.position, getPlayerVelocity(), shootEnemyProjectile, shootBossProjectile, fireBossLaser);
+
+    // Charge and fire boss lasers (a beam hit can end the game)
+    updateLasers(deltaTime, scene, cannonGroup.position);
+    if (!isState(GameState.PLAYING, GameState.PAUSED)) return;
 
     // Update treasure chests
     updateTreasures(deltaTime);
@@ -182,18 +504,19 @@ function updateGame(currentTime, deltaTime) {
 
         // Check if all treasures collected (victory condition!)
         if (getCollectedCount() >= getTotalCount()) {
-            gameOverReason = 'victory';
-            endGame();
+            endGame('victory');
             return;
         }
     }
 
     // Update water animation and ship wakes
     updateWater(deltaTime);
+    updateSplashes(deltaTime);
     updateShipWakes(getTargets(), cannonGroup, deltaTime);
 
     // Check collisions
     checkCollisions();
+    if (!isState(GameState.PLAYING, GameState.PAUSED)) return;
 
     // Check player-enemy ship collisions
     checkPlayerShipCollisions();
@@ -205,21 +528,50 @@ function updateGame(currentTime, deltaTime) {
 function fireCannon(charge) {
     const muzzlePos = getMuzzlePosition();
     const direction = getFiringDirection();
+    const ammo = getCurrentAmmo();
+
+    // Calculate speed based on charge (heavier shot types leave the barrel slower)
+    const speed = (MIN_POWER + (MAX_POWER - MIN_POWER) * charge) * ammo.speedMultiplier;
+
+    // Spawn player projectile(s) - grapeshot scatters a cone of pellets
+    for (let i = 0; i < ammo.pellets; i++) {
+        const pelletDirection = ammo.spread > 0 ? scatterDirection(direction, ammo.spread) : direction;
+        spawnProjectile(scene, muzzlePos, pelletDirection, speed, 'player', ammo);
+    }
+}
+
+/**
+ * Picks a random direction inside a cone around an axis
+ * @param {THREE.Vector3} direction - Cone axis (normalized)
+ * @param {number} spread - Cone half-angle in radians
+ * @returns {THREE.Vector3} New normalized direction
+ */
+function scatterDirection(direction, spread) {
+    // Two axes perpendicular to the firing direction
+    const side = new THREE.Vector3().crossVectors(direction, new THREE.Vector3(0, 1, 0));
+    if (side.lengthSq() < 1e-6) {
+        side.set(1, 0, 0);
+    }
+    side.normalize();
+    const up = new THREE.Vector3().crossVectors(side, direction).normalize();
 
-    // Calculate speed based on charge
-    const speed = MIN_POWER + (MAX_POWER - MIN_POWER) * charge;
+    // Uniform over the cone's cross-section
+    const angle = Math.random() * Math.PI * 2;
+    const offset = Math.tan(spread) * Math.sqrt(Math.random());
 
-    // Spawn player projectile
-    spawnProjectile(scene, muzzlePos, direction, speed, 'player');
+    return direction.clone()
+        .addScaledVector(side, Math.cos(angle) * offset)
+        .addScaledVector(up, Math.sin(angle) * offset)
+        .normalize();
 }
 
 /**
  * Fires an enemy projectile at the player
  * @param {THREE.Vector3} position - Enemy cannon position
  * @param {THREE.Vector3} direction - Direction to shoot
+ * @param {number} speed - Muzzle speed the firing solution was computed for
  */
-function shootEnemyProjectile(position, direction) {
-    const speed = 20; // Enemy projectile speed
+function shootEnemyProjectile(position, direction, speed) {
     spawnProjectile(scene, position, direction, speed, 'enemy');
 }
 
@@ -227,18 +579,63 @@ function shootEnemyProjectile(position, direction) {
  * Fires a boss projectile at the player (one-shot kill)
  * @param {THREE.Vector3} position - Boss cannon position
  * @param {THREE.Vector3} direction - Direction to shoot
+ * @param {number} speed - Muzzle speed the firing solution was computed for
  */
-function shootBossProjectile(position, direction) {
-    const speed = 25; // Boss projectile is faster
+function shootBossProjectile(position, direction, speed) {
     spawnProjectile(scene, position, direction, speed, 'boss');
 }
 
+/**
+ * Starts a boss laser: warning line along the locked aim, then the beam
+ * @param {THREE.Vector3} origin - Boss main gun position
+ * @param {THREE.Vector3} direction - Locked aim direction
+ * @param {number} chargeTime - Seconds of warning before the beam
+ * @param {number} duration - Seconds the beam lasts
+ */
+function fireBossLaser(origin, direction, chargeTime, duration) {
+    createBossLaser(scene, origin, direction, onLaserHitPlayer, { chargeTime, duration });
+}
+
+/**
+ * Handles the boss entering a new fight phase
+ * @param {Object} boss - Boss target
+ * @param {Object} phase - Phase entry from targets.js (name, announcement, summonEscorts, ...)
+ */
+function onBossPhaseChange(boss, phase) {
+    showAnnouncement(phase.name, phase.announcement || '');
+    updateBossBar(boss);
+
+    const burstPos = boss.mesh.position.clone();
+    burstPos.y += 4;
+    createExplosion(burstPos, 0xFF2200);
+
+    if (phase.summonEscorts > 0) {
+        spawnEscorts(scene, boss, phase.summonEscorts);
+    }
+}
+
+/**
+ * Shows the boss's remaining health and fight phase on the HUD boss bar
+ * @param {Object} boss - Boss target
+ */
+function updateBossBar(boss) {
+    updateBossHealth(getHealthFraction(boss), `Navy Flagship - ${getBossPhaseName(boss)}`);
+}
+
+/**
+ * Handles a boss laser beam hitting the player
+ * @param {THREE.Vector3} point - Point on the beam closest to the player
+ */
+function onLaserHitPlayer(point) {
+    createExplosion(point, 0xFF0000);
+    damagePlayer(BOSS_LASER_DAMAGE, 'laser');
+}
+
 /**
  * Checks for collisions between projectiles and targets/player
  */
 function checkCollisions() {
     const projectiles = getProjectiles();
-    const targets = getTargets();
 
     // Track which projectiles to remove (for projectile-vs-projectile collisions)
     const projectilesToRemove = new Set();
@@ -246,124 +643,119 @@ function checkCollisions() {
     for (let i = projectiles.length - 1; i >= 0; i--) {
         const proj = projectiles[i];
 
-        if (!proj.alive || projectilesToRemove.has(i)) {
+        if (!proj.alive) {
             continue;
         }
 
-        const projPos = {
-            x: proj.mesh.position.x,
-            y: proj.mesh.position.y,
-            z: proj.mesh.position.z
-        };
+        // Swept test covers the whole step so fast shots can't tunnel through thin hulls
+        const stepStart = proj.previousPosition;
+        const stepEnd = proj.mesh.position;
 
         // Player projectiles hit enemy ships
         if (proj.type === 'player') {
-            for (const target of targets) {
-                // Skip destroyed targets
-                if (target.destroyed) continue;
-
-                const bounds = getAABBFromMesh(target.mesh);
-
-                if (sphereVsAABB(projPos, proj.radius, bounds.min, bounds.max)) {
-                    // Hit detected!
-                    onTargetHit(target);
-                    killProjectile(i);
-                    despawnProjectile(i, scene);
-                    break;
+            // Broad phase: only ships whose cells the shot passed through
+            const sweep = getSweptBounds(stepStart, stepEnd, proj.radius);
+
+            // Find the earliest impact along the step, not just the first ship found
+            let hitShip = null;
+            let firstHit = null;
+
+            for (const target of queryTargets(sweep.min, sweep.max)) {
+                // Oriented boxes per part (hull, bridge, turret, mast) follow the ship's heading
+                const hit = sweptSphereVsRegions(stepStart, stepEnd, proj.radius, getTargetHitRegions(target));
+
+                if (hit && (!firstHit || hit.time < firstHit.time)) {
+                    hitShip = target;
+                    firstHit = hit;
                 }
             }
+
+            if (hitShip) {
+                // Hit detected! Move the shot back to where it struck
+                stepEnd.lerpVectors(stepStart, stepEnd, firstHit.time);
+                // Chain shot always tears the rigging; grapeshot pellets deal partial damage
+                const region = (proj.ammo && proj.ammo.hitRegion) || firstHit.region;
+                onTargetHit(hitShip, region, proj.ammo ? proj.ammo.damageMultiplier : 1);
+                reportImpact(proj, firstHit.point, 'ship', hitShip);
+                killProjectile(i);
+                despawnProjectile(i, scene);
+            }
         }
         // Enemy projectiles hit player
         else if (proj.type === 'enemy' || proj.type === 'boss') {
-            // Simple sphere collision with player ship
-            const playerPos = cannonGroup.position;
-            const dx = projPos.x - playerPos.x;
-            const dy = projPos.y - playerPos.y;
-            const dz = projPos.z - playerPos.z;
-            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-
-            const hitRadius = 2.5; // Player ship hit radius
-            if (distance < hitRadius) {
+            // Sphere collision with player ship (hit radius already allows for the shot's size)
+            const hit = sweptSphereVsSphere(stepStart, stepEnd, 0, cannonGroup.position, PLAYER_HIT_RADIUS);
+
+            if (hit) {
                 // Create explosion at player ship position
                 const explosionPos = cannonGroup.position.clone();
                 explosionPos.y += 1; // Slightly above ship
 
                 // Boss projectile is instant kill (larger, red explosion)
-                if (proj.type === 'boss') {
-                    createExplosion(scene, explosionPos, 0xFF0000);
-                    playerHealth = 0; // Instant death
-                } else {
-                    createExplosion(scene, explosionPos, 0xFF2200);
-                    playerHealth--;
-                }
-                updatePlayerHealth(playerHealth);
+                createExplosion(explosionPos, proj.type === 'boss' ? 0xFF0000 : 0xFF2200);
+                reportImpact(proj, hit.point, 'player');
 
                 killProjectile(i);
                 despawnProjectile(i, scene);
 
                 // Check if player died
-                if (playerHealth <= 0) {
-                    gameOverReason = proj.type === 'boss' ? 'boss' : 'hit';
-                    endGame();
+                if (damagePlayer(proj.type === 'boss' ? playerHealth : 1, proj.type === 'boss' ? 'boss' : 'hit')) {
                     return;
                 }
             }
         }
     }
 
+    // Bucket this tick's enemy shots so each player shot only tests the ones near its path
+    clearGrid(projectileGrid);
+    for (const proj of projectiles) {
+        if (proj.alive && (proj.type === 'enemy' || proj.type === 'boss')) {
+            const sweep = getSweptBounds(proj.previousPosition, proj.mesh.position, proj.radius + 0.3);
+            updateInGrid(projectileGrid, proj, sweep.min, sweep.max);
+        }
+    }
+
     // Check for projectile-vs-projectile collisions (player vs enemy)
-    for (let i = projectiles.length - 1; i >= 0; i--) {
-        const proj1 = projectiles[i];
-        
-        if (!proj1.alive || projectilesToRemove.has(i)) {
+    for (const proj1 of projectiles) {
+        // Only check player projectiles against enemy projectiles
+        if (!proj1.alive || proj1.type !== 'player' || projectilesToRemove.has(proj1)) {
             continue;
         }
 
-        // Only check player projectiles against enemy projectiles
-        if (proj1.type === 'player') {
-            for (let j = projectiles.length - 1; j >= 0; j--) {
-                if (i === j) continue; // Don't check against self
-                
-                const proj2 = projectiles[j];
-                
-                if (!proj2.alive || projectilesToRemove.has(j)) {
-                    continue;
-                }
+        const sweep = getSweptBounds(proj1.previousPosition, proj1.mesh.position, proj1.radius);
 
-                // Check if proj2 is an enemy or boss projectile
-                if (proj2.type === 'enemy' || proj2.type === 'boss') {
-                    // Calculate distance between projectiles
-                    const dx = proj1.mesh.position.x - proj2.mesh.position.x;
-                    const dy = proj1.mesh.position.y - proj2.mesh.position.y;
-                    const dz = proj1.mesh.position.z - proj2.mesh.position.z;
-                    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-
-                    // Check if projectiles collide (sum of their radii)
-                    const collisionDistance = proj1.radius + proj2.radius + 0.3; // Small buffer
-                    if (distance < collisionDistance) {
-                        // Collision detected! Create explosion at midpoint
-                        const explosionPos = new THREE.Vector3(
-                            (proj1.mesh.position.x + proj2.mesh.position.x) / 2,
-                            (proj1.mesh.position.y + proj2.mesh.position.y) / 2,
-                            (proj1.mesh.position.z + proj2.mesh.position.z) / 2
-                        );
-                        
-                        // Create a yellow/orange explosion (mix of player and enemy colors)
-                        createExplosion(scene, explosionPos, 0xFFAA00);
-
-                        // Mark both projectiles for removal
-                        projectilesToRemove.add(i);
-                        projectilesToRemove.add(j);
-                        
-                        break; // Exit inner loop
-                    }
-                }
+        for (const proj2 of queryGrid(projectileGrid, sweep.min, sweep.max)) {
+            if (projectilesToRemove.has(proj2)) {
+                continue;
+            }
+
+            // Sweep proj1 relative to proj2 so two fast shots can't pass through each other
+            const relativeStart = new THREE.Vector3().subVectors(proj1.previousPosition, proj2.previousPosition);
+            const relativeEnd = new THREE.Vector3().subVectors(proj1.mesh.position, proj2.mesh.position);
+            const collisionRadius = proj2.radius + 0.3; // Small buffer
+            const hit = sweptSphereVsSphere(relativeStart, relativeEnd, proj1.radius, { x: 0, y: 0, z: 0 }, collisionRadius);
+
+            if (hit) {
+                // Collision detected! Create explosion at the midpoint when they met
+                const position1 = new THREE.Vector3().lerpVectors(proj1.previousPosition, proj1.mesh.position, hit.time);
+                const position2 = new THREE.Vector3().lerpVectors(proj2.previousPosition, proj2.mesh.position, hit.time);
+                const explosionPos = position1.add(position2).multiplyScalar(0.5);
+
+                // Create a yellow/orange explosion (mix of player and enemy colors)
+                createExplosion(explosionPos, 0xFFAA00);
+
+                // Mark both projectiles for removal
+                projectilesToRemove.add(proj1);
+                projectilesToRemove.add(proj2);
+
+                break; // Exit inner loop
             }
         }
     }
 
     // Remove all collided projectiles
-    for (const index of Array.from(projectilesToRemove).sort((a, b) => b - a)) {
+    for (const proj of projectilesToRemove) {
+        const index = projectiles.indexOf(proj);
         killProjectile(index);
         despawnProjectile(index, scene);
     }
@@ -378,68 +770,107 @@ function updatePlayerHealth(health) {
 }
 
 /**
- * Handles a target being hit
+ * Applies splash damage around a projectile impact (ship hit or water splashdown)
+ * Damage falls off linearly from full at the impact point to nothing at the splash radius
+ * @param {Object} event - {projectile, point, surface, target, ricochet} from projectile.js
  */
-function onTargetHit(target) {
-    // Trigger hit animation
-    hitTarget(target);
+function onProjectileImpact(event) {
+    const { projectile, point, surface, target, ricochet } = event;
 
-    // Boss ships require multiple hits
-    if (target.isBoss) {
-        // Check if boss is destroyed (4 hits)
-        if (target.hits >= target.maxHits) {
-            // Boss destroyed! Big score bonus
-            score += 20;
-            updateScore(score);
-
-            // Create large explosion at boss position
-            const explosionPos = target.mesh.position.clone();
-            explosionPos.y += 3; // Higher for boss
-            createExplosion(scene, explosionPos, 0xFF0000);
-
-            // Mark target as destroyed
-            target.isMoving = false;
-            target.destroyed = true;
-
-            // Remove ship from scene
-            scene.remove(target.mesh);
-
-            // Dispose of geometries and materials
-            target.mesh.traverse((child) => {
-                if (child.geometry) {
-                    child.geometry.dispose();
-                }
-                if (child.material) {
-                    if (Array.isArray(child.material)) {
-                        child.material.forEach(mat => mat.dispose());
-                    } else {
-                        child.material.dispose();
-                    }
-                }
-            });
-        } else {
-            // Boss took a hit but not destroyed - small explosion, 1 point
-            score++;
-            updateScore(score);
+    // Show where misses land so the player can correct their aim
+    if (surface === 'water') {
+        spawnSplash(scene, point, projectile.radius);
+    }
+
+    // A skipping shot is still in flight - it only does damage where it finally lands
+    if (ricochet) return;
 
-            const explosionPos = target.mesh.position.clone();
-            explosionPos.y += 2;
-            createExplosion(scene, explosionPos, 0xFF6600);
+    // Explosive shells burst wherever they land
+    if (projectile.ammo && projectile.ammo.explodes) {
+        createExplosion(point, 0xFF2200);
+    }
+
+    if (projectile.splashRadius <= 0) return;
+
+    if (projectile.type === 'player') {
+        // Near misses damage every ship in range (the ship struck directly already took its hit)
+        for (const ship of queryTargetsInRadius(point, projectile.splashRadius)) {
+            if (ship === target || ship.destroyed) continue;
+
+            const falloff = 1 - getDistanceToTarget(ship, point) / projectile.splashRadius;
+            if (falloff > 0) {
+                onTargetHit(ship, 'hull', projectile.splashDamage * falloff);
+            }
         }
-    } else {
-        // Regular ship - destroyed in one hit
-        score++;
+    } else if (surface !== 'player') {
+        // Enemy near misses chip the player's health
+        const distance = point.distanceTo(cannonGroup.position) - PLAYER_HIT_RADIUS;
+        const falloff = 1 - Math.max(distance, 0) / projectile.splashRadius;
+        if (falloff > 0) {
+            damagePlayer(projectile.splashDamage * falloff, projectile.type === 'boss' ? 'boss' : 'hit');
+        }
+    }
+}
+
+/**
+ * Reduces player health (fractional damage allowed) and ends the game at zero
+ * @param {number} amount - Health to remove
+ * @param {string} reason - Game over reason if this kills the player
+ * @returns {boolean} True if the player died
+ */
+function damagePlayer(amount, reason) {
+    playerHealth = Math.max(0, playerHealth - amount);
+    updatePlayerHealth(playerHealth);
+
+    if (playerHealth <= 0) {
+        endGame(reason);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Handles a target being hit
+ * @param {Object} target - Ship that was struck
+ * @param {string} region - Hit region ('hull', 'bridge', 'turret' or 'mast')
+ * @param {number} damageMultiplier - Scales the region's damage (pellets, splash falloff)
+ */
+function onTargetHit(target, region, damageMultiplier = 1) {
+    // Apply localized damage and trigger hit animation
+    const result = hitTarget(target, region, damageMultiplier);
+    setHealthBar(target);
+    if (target.isBoss) {
+        updateBossBar(target);
+    }
+
+    // Bridge hits are criticals - bonus points on top of the damage (full-weight shots only, not pellets)
+    if (result.critical && result.damage >= 1) {
+        score += CRITICAL_HIT_BONUS;
+    }
+
+    if (target.hits >= target.maxHits) {
+        // Ship destroyed! Boss is worth a big score bonus
+        score += target.isBoss ? 20 : 1;
         updateScore(score);
 
-        // Create explosion at ship position
+        // Create explosion at ship position (larger and higher for boss)
         const explosionPos = target.mesh.position.clone();
-        explosionPos.y += 1; // Slightly above ship center
-        createExplosion(scene, explosionPos, 0xFF4400);
+        explosionPos.y += target.isBoss ? 3 : 1;
+        createExplosion(explosionPos, target.isBoss ? 0xFF0000 : 0xFF4400);
 
         // Mark target as destroyed (stop moving and hide)
         target.isMoving = false;
         target.destroyed = true;
 
+        // The rest of its squadron closes up (a new leader takes over if needed)
+        leaveSquadron(target);
+
+        // A sunk boss takes its charging laser down with it
+        if (target.isBoss) {
+            clearAllLasers(scene);
+            showBossBar(false);
+        }
+
         // Remove ship from scene
         scene.remove(target.mesh);
 
@@ -456,6 +887,16 @@ function onTargetHit(target) {
                 }
             }
         });
+    } else {
+        // Damaged but still afloat - small explosion, 1 point (pellets and splash only score when they sink a ship)
+        if (result.damage >= 1) {
+            score++;
+        }
+        updateScore(score);
+
+        const explosionPos = target.mesh.position.clone();
+        explosionPos.y += target.isBoss ? 2 : 0.8;
+        createExplosion(explosionPos, result.critical ? 0xFFDD00 : 0xFF6600);
     }
 }
 
@@ -463,14 +904,16 @@ function onTargetHit(target) {
  * Checks for collisions between player ship and enemy ships
  */
 function checkPlayerShipCollisions() {
-    const targets = getTargets();
     const playerPos = cannonGroup.position;
     const collisionRadius = 3.5; // Distance at which ships collide
 
-    for (const target of targets) {
-        // Skip destroyed targets
-        if (target.destroyed) continue;
+    // Broad phase: ships whose hull bounds reach the collision circle (their centers lie inside their bounds)
+    const nearbyTargets = queryTargets(
+        { x: playerPos.x - collisionRadius, z: playerPos.z - collisionRadius },
+        { x: playerPos.x + collisionRadius, z: playerPos.z + collisionRadius }
+    );
 
+    for (const target of nearbyTargets) {
         const enemyPos = target.mesh.position;
 
         // Calculate distance between player and enemy ship
@@ -481,8 +924,7 @@ function checkPlayerShipCollisions() {
         // Check if collision occurred
         if (distance < collisionRadius) {
             // Game over due to collision!
-            gameOverReason = 'collision';
-            endGame();
+            endGame('collision');
             return;
         }
     }
@@ -490,21 +932,13 @@ function checkPlayerShipCollisions() {
 
 /**
  * Ends the game
+ * @param {string} reason - 'timeout', 'collision', 'hit', 'boss', or 'victory'
  */
-function endGame() {
-    gameActive = false;
-
-    // Show different message based on how game ended
-    if (gameOverReason === 'victory') {
-        showGameOver(score, 'Congrats! You Won!');
-    } else if (gameOverReason === 'collision') {
-        showGameOver(score, 'Ship Collision!');
-    } else if (gameOverReason === 'boss') {
-        showGameOver(score, 'Obliterated by Boss!');
-    } else if (gameOverReason === 'hit') {
-        showGameOver(score, 'Hit by Enemy Fire!');
+function endGame(reason) {
+    if (reason === 'victory') {
+        transitionTo(GameState.VICTORY);
     } else {
-        showGameOver(score, "Time's Up!");
+        transitionTo(GameState.GAME_OVER, { reason });
     }
 }
 
@@ -0,0 +1,260 @@
+/**
+ * particles.js - Shared GPU particle system
+ * Every trail dot, explosion fragment and splash droplet is one vertex of a single
+ * THREE.Points object with per-particle colour, opacity and size buffers, so effects
+ * allocate no geometries or materials and draw in one call
+ */
+
+import * as THREE from 'three';
+
+// Capacity of the shared buffers (slots are recycled, never grown)
+const MAX_PARTICLES = 4096;
+const PARTICLE_FLOOR = -0.5; // Simulated particles that sink below the sea are removed
+
+// Per-particle buffers
+const positions = new Float32Array(MAX_PARTICLES * 3);
+const colors = new Float32Array(MAX_PARTICLES * 3);
+const alphas = new Float32Array(MAX_PARTICLES);
+const sizes = new Float32Array(MAX_PARTICLES);
+const inUse = new Uint8Array(MAX_PARTICLES);
+
+// Free slot stack (top = next slot handed out)
+const freeSlots = [];
+
+// Particles moved by updateParticles (the rest are placed and faded by their owner)
+const simulated = [];
+
+let geometry, material, points;
+
+// Scratch values
+const scratchColor = new THREE.Color();
+const drawingBufferSize = new THREE.Vector2();
+
+const vertexShader = `
+    attribute vec3 particleColor;
+    attribute float particleAlpha;
+    attribute float particleSize;
+
+    uniform float viewportHeight;
+
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        vColor = particleColor;
+        vAlpha = particleAlpha;
+
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+
+        // World-space diameter to pixels (perspective size attenuation)
+        gl_PointSize = particleAlpha > 0.0
+            ? particleSize * projectionMatrix[1][1] * viewportHeight * 0.5 / -mvPosition.z
+            : 0.0;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const fragmentShader = `
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        // Round particle with a soft edge
+        float dist = length(gl_PointCoord - 0.5);
+        if (dist > 0.5 || vAlpha <= 0.0) discard;
+
+        float edge = 1.0 - smoothstep(0.35, 0.5, dist);
+        gl_FragColor = vec4(vColor, vAlpha * edge);
+    }
+`;
+
+/**
+ * Creates the shared particle buffers and adds them to the scene
+ * @param {THREE.Scene} scene - Scene to draw particles in
+ */
+export function initParticles(scene) {
+    geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('particleColor', new THREE.BufferAttribute(colors, 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('particleAlpha', new THREE.BufferAttribute(alphas, 1).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('particleSize', new THREE.BufferAttribute(sizes, 1).setUsage(THREE.DynamicDrawUsage));
+
+    material = new THREE.ShaderMaterial({
+        uniforms: {
+            viewportHeight: { value: 1 }
+        },
+        vertexShader,
+        fragmentShader,
+        transparent: true,
+        depthWrite: false
+    });
+
+    points = new THREE.Points(geometry, material);
+    points.frustumCulled = false; // Particles span the whole map; bounds change every frame
+    points.onBeforeRender = (renderer) => {
+        renderer.getDrawingBufferSize(drawingBufferSize);
+        material.uniforms.viewportHeight.value = drawingBufferSize.y;
+    };
+    scene.add(points);
+
+    clearParticles();
+}
+
+/**
+ * Claims a particle slot and places it (owner moves, fades and releases it)
+ * @param {THREE.Vector3} position - World position
+ * @param {number} color - Hex colour
+ * @param {number} size - World-space diameter
+ * @param {number} opacity - Starting opacity (0-1)
+ * @returns {number} Particle index, or -1 if every slot is in use
+ */
+export function allocateParticle(position, color, size, opacity = 1) {
+    if (freeSlots.length === 0) {
+        return -1;
+    }
+
+    const index = freeSlots.pop();
+    inUse[index] = 1;
+
+    positions[index * 3] = position.x;
+    positions[index * 3 + 1] = position.y;
+    positions[index * 3 + 2] = position.z;
+
+    scratchColor.setHex(color);
+    colors[index * 3] = scratchColor.r;
+    colors[index * 3 + 1] = scratchColor.g;
+    colors[index * 3 + 2] = scratchColor.b;
+
+    alphas[index] = opacity;
+    sizes[index] = size;
+
+    markDirty();
+    return index;
+}
+
+/**
+ * Sets the opacity of an allocated particle
+ * @param {number} index - Particle index from allocateParticle
+ * @param {number} opacity - New opacity (0-1)
+ */
+export function setParticleOpacity(index, opacity) {
+    if (index < 0 || !inUse[index]) return;
+    alphas[index] = opacity;
+    geometry.attributes.particleAlpha.needsUpdate = true;
+}
+
+/**
+ * Hides a particle and returns its slot to the pool (safe to call twice)
+ * @param {number} index - Particle index from allocateParticle
+ */
+export function releaseParticle(index) {
+    if (index < 0 || !inUse[index]) return;
+    inUse[index] = 0;
+    alphas[index] = 0;
+    freeSlots.push(index);
+    geometry.attributes.particleAlpha.needsUpdate = true;
+}
+
+/**
+ * Emits a particle that flies under gravity and fades out over its lifetime
+ * @param {THREE.Vector3} position - Start position
+ * @param {THREE.Vector3} velocity - Start velocity (copied)
+ * @param {Object} options - {color, size, opacity, lifetime, gravity, group}; group tags the
+ * particle for releaseParticleGroup
+ */
+export function emitParticle(position, velocity, options = {}) {
+    const { color = 0xFFFFFF, size = 0.3, opacity = 1, lifetime = 1, gravity = 0, group = null } = options;
+
+    const index = allocateParticle(position, color, size, opacity);
+    if (index < 0) return; // Pool exhausted - drop the particle rather than stall
+
+    simulated.push({
+        index,
+        velocity: velocity.clone(),
+        gravity,
+        opacity,
+        age: 0,
+        lifetime,
+        group
+    });
+}
+
+/**
+ * Moves and fades all simulated particles, releasing the ones that expire
+ * @param {number} deltaTime - Time since last update in seconds
+ */
+export function updateParticles(deltaTime) {
+    for (let i = simulated.length - 1; i >= 0; i--) {
+        const particle = simulated[i];
+        const index = particle.index;
+        particle.age += deltaTime;
+
+        if (particle.age >= particle.lifetime || positions[index * 3 + 1] < PARTICLE_FLOOR) {
+            releaseParticle(index);
+            simulated[i] = simulated[simulated.length - 1];
+            simulated.pop();
+            continue;
+        }
+
+        particle.velocity.y -= particle.gravity * deltaTime;
+        positions[index * 3] += particle.velocity.x * deltaTime;
+        positions[index * 3 + 1] += particle.velocity.y * deltaTime;
+        positions[index * 3 + 2] += particle.velocity.z * deltaTime;
+        alphas[index] = particle.opacity * (1 - particle.age / particle.lifetime);
+    }
+
+    if (simulated.length > 0) {
+        markDirty();
+    }
+}
+
+/**
+ * Releases every simulated particle emitted with a group tag (e.g. one explosion's fragments)
+ * @param {*} group - Tag passed to emitParticle
+ */
+export function releaseParticleGroup(group) {
+    for (let i = simulated.length - 1; i >= 0; i--) {
+        if (simulated[i].group !== group) continue;
+        releaseParticle(simulated[i].index);
+        simulated[i] = simulated[simulated.length - 1];
+        simulated.pop();
+    }
+}
+
+/**
+ * Releases every particle (for restart)
+ */
+export function clearParticles() {
+    simulated.length = 0;
+    freeSlots.length = 0;
+    for (let i = MAX_PARTICLES - 1; i >= 0; i--) {
+        inUse[i] = 0;
+        alphas[i] = 0;
+        freeSlots.push(i);
+    }
+    if (geometry) {
+        markDirty();
+    }
+}
+
+/**
+ * Gets particle slot usage (for the debug overlay)
+ * @returns {Object} {inUse, capacity, simulated}
+ */
+export function getParticleStats() {
+    return {
+        inUse: MAX_PARTICLES - freeSlots.length,
+        capacity: MAX_PARTICLES,
+        simulated: simulated.length
+    };
+}
+
+/**
+ * Flags every particle buffer for upload on the next render
+ */
+function markDirty() {
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.particleColor.needsUpdate = true;
+    geometry.attributes.particleAlpha.needsUpdate = true;
+    geometry.attributes.particleSize.needsUpdate = true;
+}
@@ -0,0 +1,99 @@
+/**
+ * pool.js - Object pools
+ * Reuses expensive scene objects (meshes, lights) across shots and restarts
+ * instead of building and disposing them each time, and tracks per-pool statistics
+ */
+
+// Every pool created, in creation order (for statistics)
+const pools = [];
+
+/**
+ * Creates a named pool
+ * @param {string} name - Label shown in the debug overlay
+ * @param {Function} create - Builds a new item when the pool is empty (receives acquire's extra arguments)
+ * @param {Function} reset - Optional cleanup run on an item when it is released
+ * @param {number} capacity - Most items the pool will ever build (fill fixed-size pools up front with fillPool)
+ * @returns {Object} Pool handle for acquire/release
+ */
+export function createPool(name, create, reset = null, capacity = Infinity) {
+    const pool = {
+        name,
+        create,
+        reset,
+        capacity,
+        free: [],
+        created: 0,
+        inUse: 0,
+        peak: 0,
+        reused: 0,
+        missed: 0
+    };
+    pools.push(pool);
+    return pool;
+}
+
+/**
+ * Builds a fixed-size pool's items all at once, so none are created mid-game
+ * @param {Object} pool - Pool from createPool (with a finite capacity)
+ * @param {...*} args - Passed to the pool's create function
+ */
+export function fillPool(pool, ...args) {
+    while (pool.created < pool.capacity) {
+        pool.free.push(pool.create(...args));
+        pool.created++;
+    }
+}
+
+/**
+ * Takes an item from a pool, building a new one only if none are free
+ * @param {Object} pool - Pool from createPool
+ * @param {...*} args - Passed to the pool's create function
+ * @returns {*} Pooled item, or null if the pool is at capacity and every item is in use
+ */
+export function acquire(pool, ...args) {
+    let item = pool.free.pop();
+    if (item === undefined) {
+        if (pool.created >= pool.capacity) {
+            pool.missed++;
+            return null;
+        }
+        item = pool.create(...args);
+        pool.created++;
+    } else {
+        pool.reused++;
+    }
+
+    pool.inUse++;
+    pool.peak = Math.max(pool.peak, pool.inUse);
+    return item;
+}
+
+/**
+ * Returns an item to its pool for reuse
+ * @param {Object} pool - Pool the item was acquired from
+ * @param {*} item - Item to release
+ */
+export function release(pool, item) {
+    if (pool.reset) {
+        pool.reset(item);
+    }
+    pool.free.push(item);
+    pool.inUse--;
+}
+
+/**
+ * Gets statistics for every pool
+ * @returns {Array} [{name, inUse, free, created, peak, reused, missed}] where reused counts acquires served
+ * from free items and missed counts acquires refused by a full fixed-size pool
+ */
+export function getPoolStats() {
+    return pools.map(pool => ({
+        name: pool.name,
+        inUse: pool.inUse,
+        free: pool.free.length,
+        created: pool.created,
+        peak: pool.peak,
+        reused: pool.reused,
+        missed: pool.missed
+    }));
+}
@@ -4,6 +4,11 @@
  */
 
 import * as THREE from 'three';
+import { getWindAcceleration } from './wind.js';
+import { getTime } from './clock.js';
+import { allocateParticle, setParticleOpacity, releaseParticle, emitParticle, releaseParticleGroup } from './particles.js';
+import { createPool, fillPool, acquire, release } from './pool.js';
+import { forgetTransform } from './interpolation.js';
 
 // Projectile storage
 const projectiles = [];
@@ -12,113 +17,277 @@ const projectiles = [];
 const GRAVITY = new THREE.Vector3(0, -9.8, 0);
 const MAX_LIFETIME = 5; // seconds
 const PROJECTILE_RADIUS = 0.3;
+const AIR_DENSITY = 1.225; // kg/m³ at sea level
+const WATER_LEVEL = 0; // Shots crossing this height splash down
+
+// Ricochet: fast shots meeting the water at a grazing angle skip off it instead of sinking
+const RICOCHET_MAX_ANGLE = 12 * Math.PI / 180; // Steepest impact (below horizontal) that still skips
+const RICOCHET_MIN_SPEED = 10; // Slower shots just sink
+const RICOCHET_VERTICAL_RESTITUTION = 0.5; // Fraction of the downward speed returned upward
+const RICOCHET_HORIZONTAL_RETENTION = 0.8; // Fraction of the forward speed kept through the skip
+const RICOCHET_MIN_REBOUND = 1; // Upward speed a skip must leave the shot with
+const RICOCHET_MAX_BOUNCES = 3;
+
+// Ballistic properties per projectile type (masses are game-scaled, not real iron shot)
+// splashRadius/splashDamage: area damage on impact, falling off linearly to 0 at the edge
+// ricochet: whether the shot can skip off the water
+const PROJECTILE_TYPES = {
+    player: { radius: PROJECTILE_RADIUS, mass: 25, dragCoefficient: 0.47, splashRadius: 2, splashDamage: 0.5, ricochet: true },      // Light, sheds speed quickly
+    enemy: { radius: PROJECTILE_RADIUS, mass: 30, dragCoefficient: 0.47, splashRadius: 3, splashDamage: 0.25, ricochet: true },
+    boss: { radius: PROJECTILE_RADIUS * 2.5, mass: 600, dragCoefficient: 0.47, splashRadius: 5, splashDamage: 1, ricochet: true }  // Heavy, carries its speed
+};
+
+// Pooled projectile meshes (one pool per look) and glow lights (shots, lasers and explosions)
+// The lights are all built by initProjectiles and never leave the scene; free ones sit at zero
+// intensity. Adding or removing a light changes the scene's light count, which recompiles every
+// lit material, so when every light is busy the effect simply goes unlit
+const GLOW_LIGHT_COUNT = 8;
+const projectileLooks = new Map();
+const meshPools = new Map();
+let lightScene = null;
+const lightPool = createPool('glow light', () => {
+    const light = new THREE.PointLight(0xFFFFFF, 0, 8);
+    lightScene.add(light);
+    return light;
+}, light => {
+    light.intensity = 0;
+    lightScene.add(light); // Back from a shot mesh, which is about to leave the scene
+    light.position.set(0, 0, 0);
+}, GLOW_LIGHT_COUNT);
+
+// Impact listeners, called with {projectile, point, surface: 'ship' | 'player' | 'water', target, ricochet}
+const impactListeners = [];
 
 // Trail configuration
 const TRAIL_UPDATE_INTERVAL = 0.05; // Update trail every 50ms
 const TRAIL_MAX_POINTS = 100; // Maximum number of trail points
 const TRAIL_FADE_DURATION = 1.0; // Seconds for trail to fade out after projectile is destroyed
+const TRAIL_DOT_SIZE = 0.3; // World-space diameter of each dot
+const TRAIL_OPACITY = 0.9;
 
 // Store fading trails
 const fadingTrails = [];
 
+// Explosion configuration
+const EXPLOSION_FRAGMENTS = 20;
+const EXPLOSION_DURATION = 0.8; // seconds
+const EXPLOSION_FLASH_DURATION = 0.25; // seconds
+const EXPLOSION_GRAVITY = 18;
+const EXPLOSION_LIGHT_INTENSITY = 10;
+const EXPLOSION_LIGHT_DISTANCE = 15;
+
+// Explosions in progress (flash light and particle group), advanced by updateExplosions
+const activeExplosions = [];
+
+// Scratch vectors for per-frame wind acceleration and explosion particle velocities
+const windAcceleration = new THREE.Vector3();
+const explosionVelocity = new THREE.Vector3();
+
 /**
- * Spawns a new projectile
- * @param {THREE.Scene} scene - The scene to add the projectile to
- * @param {THREE.Vector3} origin - Starting position
- * @param {THREE.Vector3} direction - Normalized direction vector
- * @param {number} speed - Initial speed
+ * Builds the fixed set of glow lights for shots and lasers
+ * @param {THREE.Scene} scene - Scene the lights live in
+ */
+export function initProjectiles(scene) {
+    lightScene = scene;
+    fillPool(lightPool);
+}
+
+/**
+ * Computes the quadratic drag factor for a projectile type
+ * F = 0.5 * rho * Cd * A * v², precomputed per unit mass
+ * @param {Object} ballistics - Entry from PROJECTILE_TYPES
+ * @returns {number} Drag acceleration per unit speed squared
+ */
+function computeDragFactor(ballistics) {
+    const crossSection = Math.PI * ballistics.radius * ballistics.radius;
+    return 0.5 * AIR_DENSITY * ballistics.dragCoefficient * crossSection / ballistics.mass;
+}
+
+/**
+ * Gets the flight parameters of a projectile type (used by enemy aiming)
  * @param {string} type - 'player', 'enemy', or 'boss'
+ * @returns {Object} {gravity, dragFactor}
  */
-export function spawnProjectile(scene, origin, direction, speed, type = 'player') {
-    // Boss projectiles are larger
-    const radius = type === 'boss' ? PROJECTILE_RADIUS * 2.5 : PROJECTILE_RADIUS;
+export function getBallisticParameters(type) {
+    const ballistics = PROJECTILE_TYPES[type] || PROJECTILE_TYPES.player;
+    return {
+        gravity: -GRAVITY.y,
+        dragFactor: computeDragFactor(ballistics)
+    };
+}
 
-    // Determine colors based on type
-    let color, emissiveColor, emissiveIntensity, lightColor, lightIntensity;
+/**
+ * Gets the visual style of a projectile (one mesh pool per style)
+ * @param {string} type - 'player', 'enemy', or 'boss'
+ * @param {Object} ammo - Player ammo definition, if any
+ * @returns {Object} Cached look: key, radius, colors, light and trail settings
+ */
+function getProjectileLook(type, ammo) {
+    const key = ammo ? `${type}:${ammo.id}` : type;
+    let look = projectileLooks.get(key);
+    if (look) return look;
+
+    const radius = (ammo || PROJECTILE_TYPES[type] || PROJECTILE_TYPES.player).radius;
     if (type === 'boss') {
-        color = 0x8B0000;           // Dark red
-        emissiveColor = 0xFF0000;   // Bright red glow
-        emissiveIntensity = 1.2;    // Very bright
-        lightColor = 0xFF0000;
-        lightIntensity = 8;         // Very bright light
+        look = {
+            color: 0x8B0000,           // Dark red
+            emissiveColor: 0xFF0000,   // Bright red glow
+            emissiveIntensity: 1.2,    // Very bright
+            lightColor: 0xFF0000,
+            lightIntensity: 8,         // Very bright light
+            trailColor: 0xFF0000,      // Bright red trail
+            glow: true                 // Outer glow ring
+        };
     } else if (type === 'enemy') {
-        color = 0xFF4444;
-        emissiveColor = 0xFF0000;
-        emissiveIntensity = 0.4;
-        lightColor = 0xFF0000;
-        lightIntensity = 2;
+        look = {
+            color: 0xFF4444,
+            emissiveColor: 0xFF0000,
+            emissiveIntensity: 0.4,
+            lightColor: 0xFF0000,
+            lightIntensity: 2,
+            trailColor: 0xFF4444
+        };
+    } else if (ammo) {
+        look = {
+            color: ammo.color,
+            emissiveColor: ammo.emissiveColor,
+            emissiveIntensity: 0.7,
+            lightColor: ammo.emissiveColor,
+            lightIntensity: ammo.pellets > 1 ? 0 : 3, // No light per grapeshot pellet
+            trailColor: ammo.trailColor
+        };
     } else {
-        color = 0x444444;
-        emissiveColor = 0xFF6600;
-        emissiveIntensity = 0.7;
-        lightColor = 0xFF6600;
-        lightIntensity = 3;
+        look = {
+            color: 0x444444,
+            emissiveColor: 0xFF6600,
+            emissiveIntensity: 0.7,
+            lightColor: 0xFF6600,
+            lightIntensity: 3,
+            trailColor: 0xFF8800
+        };
     }
 
-    // Create sphere geometry
-    const geometry = new THREE.SphereGeometry(radius, 16, 16);
+    look.key = key;
+    look.radius = radius;
+    look.lightDistance = type === 'boss' ? 15 : 8;
+    look.glow = look.glow || false;
+    projectileLooks.set(key, look);
+    return look;
+}
+
+/**
+ * Gets (or creates) the mesh pool for a projectile look
+ * @param {Object} look - From getProjectileLook
+ * @returns {Object} Pool of meshes sharing one geometry
+ */
+function getMeshPool(look) {
+    let pool = meshPools.get(look.key);
+    if (pool) return pool;
+
+    const geometry = new THREE.SphereGeometry(look.radius, 16, 16);
+    pool = createPool(`${look.key} shot`, () => createProjectileMesh(look, geometry), mesh => mesh.removeFromParent());
+    meshPools.set(look.key, pool);
+    return pool;
+}
+
+/**
+ * Builds a projectile mesh for a pool
+ * @param {Object} look - From getProjectileLook
+ * @param {THREE.BufferGeometry} geometry - Sphere shared by the pool
+ * @returns {THREE.Mesh} Projectile mesh
+ */
+function createProjectileMesh(look, geometry) {
     const material = new THREE.MeshStandardMaterial({
-        color: color,
+        color: look.color,
         roughness: 0.5,
         metalness: 0.9,
-        emissive: emissiveColor,
-        emissiveIntensity: emissiveIntensity
+        emissive: look.emissiveColor,
+        emissiveIntensity: look.emissiveIntensity
     });
 
     const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.copy(origin);
     mesh.castShadow = true;
 
-    scene.add(mesh);
-
-    // Add point light to projectile for better visibility
-    const projectileLight = new THREE.PointLight(lightColor, lightIntensity, type === 'boss' ? 15 : 8);
-    mesh.add(projectileLight);
-
     // Boss projectiles have an outer glow ring
-    if (type === 'boss') {
-        const glowGeometry = new THREE.RingGeometry(radius * 1.2, radius * 1.8, 16);
+    if (look.glow) {
+        const glowGeometry = new THREE.RingGeometry(look.radius * 1.2, look.radius * 1.8, 16);
         const glowMaterial = new THREE.MeshBasicMaterial({
             color: 0xFF0000,
             transparent: true,
             opacity: 0.6,
             side: THREE.DoubleSide
         });
-        const glowRing = new THREE.Mesh(glowGeometry, glowMaterial);
-        mesh.add(glowRing);
+        mesh.add(new THREE.Mesh(glowGeometry, glowMaterial));
     }
 
-    // Create trajectory trail using dots (spheres for better visibility)
-    const trailGroup = new THREE.Group();
-    const trailDots = []; // Array to store individual dot meshes
-    scene.add(trailGroup);
+    return mesh;
+}
 
-    // Calculate initial velocity
-    const velocity = direction.clone().multiplyScalar(speed);
+/**
+ * Spawns a new projectile
+ * @param {THREE.Scene} scene - The scene to add the projectile to
+ * @param {THREE.Vector3} origin - Starting position
+ * @param {THREE.Vector3} direction - Normalized direction vector
+ * @param {number} speed - Initial speed
+ * @param {string} type - 'player', 'enemy', or 'boss'
+ * @param {Object} ammo - Player ammo definition from ammo.js (overrides ballistics and colors)
+ */
+export function spawnProjectile(scene, origin, direction, speed, type = 'player', ammo = null) {
+    // Boss projectiles are larger and heavier; player shots take their ballistics from the loaded ammo
+    const ballistics = ammo || PROJECTILE_TYPES[type] || PROJECTILE_TYPES.player;
+    const radius = ballistics.radius;
+
+    // Quadratic drag, precomputed per unit mass
+    const crossSection = Math.PI * radius * radius;
+    const dragFactor = computeDragFactor(ballistics);
+
+    // Reuse a mesh built for this shot's look, and a glow light if it glows and one is free
+    const look = getProjectileLook(type, ammo);
+    const meshPool = getMeshPool(look);
+    const mesh = acquire(meshPool);
+    mesh.position.copy(origin);
+    scene.add(mesh);
 
-    // Determine trail color
-    let trailColor;
-    if (type === 'boss') {
-        trailColor = 0xFF0000; // Bright red trail
-    } else if (type === 'enemy') {
-        trailColor = 0xFF4444;
-    } else {
-        trailColor = 0xFF8800;
+    const light = look.lightIntensity > 0 ? acquire(lightPool) : null;
+    if (light) {
+        light.color.setHex(look.lightColor);
+        light.intensity = look.lightIntensity;
+        light.distance = look.lightDistance;
+        // Ride on the mesh so the light follows its interpolated render position
+        mesh.add(light);
     }
 
+    // Trajectory trail dots (particle indices in the shared particle system)
+    const trailDots = [];
+
+    // Calculate initial velocity
+    const velocity = direction.clone().multiplyScalar(speed);
+
     // Store projectile data
     projectiles.push({
         mesh,
+        meshPool,
+        light,
         velocity,
-        birthTime: performance.now() / 1000,
+        previousPosition: mesh.position.clone(), // Start of the current step (for swept collision)
+        birthTime: getTime(),
         alive: true,
         radius: radius,
         type: type, // 'player', 'enemy', or 'boss'
+        ammo: ammo, // Player ammo definition (null for enemy shots)
+        splashRadius: ballistics.splashRadius || 0,
+        splashDamage: ballistics.splashDamage || 0,
+        canRicochet: ballistics.ricochet === true,
+        ricochetCount: 0,
+        // Drag parameters
+        mass: ballistics.mass,
+        dragCoefficient: ballistics.dragCoefficient,
+        crossSection: crossSection,
+        dragFactor: dragFactor,
         // Trail data
-        trailGroup: trailGroup,
         trailDots: trailDots,
-        trailColor: trailColor,
-        lastTrailUpdate: performance.now() / 1000,
+        trailColor: look.trailColor,
+        lastTrailUpdate: getTime(),
         distanceSinceLastDot: 0
     });
 }
@@ -129,7 +298,8 @@ export function spawnProjectile(scene, origin, direction, speed, type = 'player'
  * @param {THREE.Scene} scene - Scene to remove dead projectiles from
  */
 export function updateProjectiles(deltaTime, scene) {
-    const currentTime = performance.now() / 1000;
+    const currentTime = getTime();
+    getWindAcceleration(windAcceleration);
     
     for (let i = projectiles.length - 1; i >= 0; i--) {
         const proj = projectiles[i];
@@ -140,8 +310,16 @@ export function updateProjectiles(deltaTime, scene) {
         
         // Apply gravity
         proj.velocity.add(GRAVITY.clone().multiplyScalar(deltaTime));
+
+        // Apply lateral wind force
+        proj.velocity.addScaledVector(windAcceleration, deltaTime);
+
+        // Apply quadratic air drag opposing motion (a = -k * |v| * v)
+        const speed = proj.velocity.length();
+        proj.velocity.addScaledVector(proj.velocity, -proj.dragFactor * speed * deltaTime);
         
-        // Update position
+        // Update position, remembering where this step started
+        proj.previousPosition.copy(proj.mesh.position);
         proj.mesh.position.add(proj.velocity.clone().multiplyScalar(deltaTime));
         
         // Update trajectory trail - add dots at intervals
@@ -150,36 +328,38 @@ export function updateProjectiles(deltaTime, scene) {
         
         // Add a new dot every 0.4 units traveled (creates dotted effect)
         if (proj.distanceSinceLastDot >= 0.4) {
-            // Create a sphere dot for the trail
-            const dotGeometry = new THREE.SphereGeometry(0.15, 8, 8); // Thick visible dots
-            const dotMaterial = new THREE.MeshBasicMaterial({
-                color: proj.trailColor,
-                transparent: true,
-                opacity: 0.9
-            });
-            const dot = new THREE.Mesh(dotGeometry, dotMaterial);
-            dot.position.copy(proj.mesh.position);
-            
-            proj.trailGroup.add(dot);
-            proj.trailDots.push({
-                mesh: dot,
-                material: dotMaterial
-            });
-            
+            const dot = allocateParticle(proj.mesh.position, proj.trailColor, TRAIL_DOT_SIZE, TRAIL_OPACITY);
+            if (dot >= 0) {
+                proj.trailDots.push(dot);
+            }
+
             // Limit trail dots to prevent performance issues
             if (proj.trailDots.length > TRAIL_MAX_POINTS) {
-                const oldDot = proj.trailDots.shift();
-                proj.trailGroup.remove(oldDot.mesh);
-                oldDot.mesh.geometry.dispose();
-                oldDot.material.dispose();
+                releaseParticle(proj.trailDots.shift());
             }
-            
+
             proj.distanceSinceLastDot = 0;
         }
-        
+
+        // Splash down when the shot drops through the waterline this step
+        const position = proj.mesh.position;
+        if (proj.previousPosition.y >= WATER_LEVEL && position.y < WATER_LEVEL) {
+            const t = (proj.previousPosition.y - WATER_LEVEL) / (proj.previousPosition.y - position.y);
+            position.lerpVectors(proj.previousPosition, position, t);
+
+            if (tryRicochet(proj)) {
+                reportImpact(proj, position.clone(), 'water', null, true);
+                continue;
+            }
+
+            reportImpact(proj, position.clone(), 'water');
+            despawnProjectile(i, scene);
+            continue;
+        }
+
         // Check if below ground or expired
         const age = currentTime - proj.birthTime;
-        if (proj.mesh.position.y < -1 || age > MAX_LIFETIME) {
+        if (position.y < -1 || age > MAX_LIFETIME) {
             despawnProjectile(i, scene);
         }
     }
@@ -189,25 +369,52 @@ export function updateProjectiles(deltaTime, scene) {
         const trail = fadingTrails[i];
         const elapsed = currentTime - trail.startFadeTime;
         const progress = elapsed / TRAIL_FADE_DURATION;
-        
+
         if (progress >= 1.0) {
             // Remove trail completely
-            scene.remove(trail.group);
-            trail.dots.forEach(dot => {
-                dot.mesh.geometry.dispose();
-                dot.material.dispose();
-            });
+            trail.dots.forEach(releaseParticle);
             fadingTrails.splice(i, 1);
         } else {
             // Fade out trail dots
             const opacity = trail.initialOpacity * (1.0 - progress);
-            trail.dots.forEach(dot => {
-                dot.material.opacity = opacity;
-            });
+            trail.dots.forEach(dot => setParticleOpacity(dot, opacity));
         }
     }
 }
 
+/**
+ * Bounces a projectile off the water if it hit at a shallow enough angle and fast enough
+ * The shot loses energy on each skip, so it eventually sinks
+ * @param {Object} proj - Projectile record, positioned on the water surface
+ * @returns {boolean} True if the projectile skipped (velocity updated), false if it sinks
+ */
+function tryRicochet(proj) {
+    if (!proj.canRicochet || proj.ricochetCount >= RICOCHET_MAX_BOUNCES) {
+        return false;
+    }
+
+    const velocity = proj.velocity;
+    const speed = velocity.length();
+    const horizontalSpeed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+    const impactAngle = Math.atan2(-velocity.y, horizontalSpeed);
+
+    if (speed < RICOCHET_MIN_SPEED || impactAngle > RICOCHET_MAX_ANGLE) {
+        return false;
+    }
+
+    // Too little rebound to leave the water - let it sink instead of skimming forever
+    const reboundSpeed = -velocity.y * RICOCHET_VERTICAL_RESTITUTION;
+    if (reboundSpeed < RICOCHET_MIN_REBOUND) {
+        return false;
+    }
+
+    velocity.x *= RICOCHET_HORIZONTAL_RETENTION;
+    velocity.z *= RICOCHET_HORIZONTAL_RETENTION;
+    velocity.y = reboundSpeed;
+    proj.ricochetCount++;
+    return true;
+}
+
 /**
  * Removes a projectile from the scene and array
  * @param {number} index - Index of projectile to remove
@@ -217,18 +424,19 @@ export function despawnProjectile(index, scene) {
     if (index >= 0 && index < projectiles.length) {
         const proj = projectiles[index];
         
-        // Remove projectile mesh
-        scene.remove(proj.mesh);
-        proj.mesh.geometry.dispose();
-        proj.mesh.material.dispose();
+        // Return the light (to the scene) and the mesh for the next shot
+        if (proj.light) {
+            release(lightPool, proj.light);
+        }
+        forgetTransform(proj.mesh);
+        release(proj.meshPool, proj.mesh);
         
         // Start fading out trail dots instead of removing immediately
-        if (proj.trailGroup && proj.trailDots.length > 0) {
+        if (proj.trailDots.length > 0) {
             fadingTrails.push({
-                group: proj.trailGroup,
                 dots: proj.trailDots,
-                startFadeTime: performance.now() / 1000,
-                initialOpacity: 0.9
+                startFadeTime: getTime(),
+                initialOpacity: TRAIL_OPACITY
             });
         }
         
@@ -236,6 +444,29 @@ export function despawnProjectile(index, scene) {
     }
 }
 
+/**
+ * Registers a listener for projectile impacts (ship hits and water splashdowns)
+ * @param {Function} listener - Called with {projectile, point, surface, target}
+ */
+export function addImpactListener(listener) {
+    impactListeners.push(listener);
+}
+
+/**
+ * Notifies impact listeners that a projectile struck something
+ * @param {Object} projectile - Projectile record
+ * @param {THREE.Vector3} point - Impact point
+ * @param {string} surface - 'ship' (enemy hull), 'player' (player ship) or 'water'
+ * @param {Object} target - Ship that was struck, if any
+ * @param {boolean} ricochet - True if the shot skipped off the water and is still flying
+ */
+export function reportImpact(projectile, point, surface, target = null, ricochet = false) {
+    const event = { projectile, point, surface, target, ricochet };
+    for (const listener of impactListeners) {
+        listener(event);
+    }
+}
+
 /**
  * Marks a projectile as dead (for collision handling)
  * @param {number} index - Index of projectile
@@ -264,16 +495,17 @@ export function clearAllProjectiles(scene) {
     }
 
     // Also clear all fading trails
-    for (let i = fadingTrails.length - 1; i >= 0; i--) {
-        const trail = fadingTrails[i];
-        scene.remove(trail.group);
-        trail.dots.forEach(dot => {
-            dot.mesh.geometry.dispose();
-            dot.material.dispose();
-        });
+    for (const trail of fadingTrails) {
+        trail.dots.forEach(releaseParticle);
     }
     fadingTrails.length = 0;
 
+    // Clear all explosions in progress
+    for (const explosion of activeExplosions) {
+        releaseExplosion(explosion);
+    }
+    activeExplosions.length = 0;
+
     // Clear all active lasers
     clearAllLasers(scene);
 }
@@ -281,16 +513,25 @@ export function clearAllProjectiles(scene) {
 // Store active laser beams
 const activeLasers = [];
 
+// Laser configuration
+const LASER_LENGTH = 150; // Very long range
+const LASER_HIT_RADIUS = 2.5; // Player hit radius
+const LASER_START_LIGHT_INTENSITY = 10;
+const LASER_MID_LIGHT_INTENSITY = 5;
+
 /**
- * Creates a boss laser beam that lasts 1 second
+ * Creates a boss laser: a thin warning line while it charges, then the beam
+ * The aim is locked when the charge starts, so the player can steer out of the line
  * @param {THREE.Scene} scene - Scene to add laser to
  * @param {THREE.Vector3} origin - Start position of laser
  * @param {THREE.Vector3} direction - Direction of laser
- * @param {Function} onHitPlayer - Callback when laser hits player
+ * @param {Function} onHitPlayer - Callback when laser hits player (receives the hit point)
+ * @param {Object} options - {chargeTime, duration} in seconds (warning line, then beam)
+ * @returns {Object} Laser data
  */
-export function createBossLaser(scene, origin, direction, onHitPlayer) {
-    const laserLength = 150; // Very long range
-    const laserDuration = 1.0; // 1 second duration
+export function createBossLaser(scene, origin, direction, onHitPlayer, options = {}) {
+    const { chargeTime = 0, duration = 1.0 } = options;
+    const laserLength = LASER_LENGTH;
 
     // Create laser beam group
     const laserGroup = new THREE.Group();
@@ -326,6 +567,20 @@ export function createBossLaser(scene, origin, direction, onHitPlayer) {
     laserGroup.add(beam);
     laserGroup.add(core);
 
+    // Warning line shown while charging (thin, blinking faster as the shot nears)
+    const warningGeometry = new THREE.CylinderGeometry(0.06, 0.06, laserLength, 6);
+    const warningMaterial = new THREE.MeshBasicMaterial({
+        color: 0xFF2222,
+        transparent: true,
+        opacity: 0.0
+    });
+    const warning = new THREE.Mesh(warningGeometry, warningMaterial);
+    laserGroup.add(warning);
+
+    const charging = chargeTime > 0;
+    glow.visible = beam.visible = core.visible = !charging;
+    warning.visible = charging;
+
     // Position and rotate laser to point in direction
     laserGroup.position.copy(origin);
 
@@ -339,16 +594,22 @@ export function createBossLaser(scene, origin, direction, onHitPlayer) {
     const offset = direction.clone().normalize().multiplyScalar(laserLength / 2);
     laserGroup.position.add(offset);
 
-    // Add point lights along the beam for dramatic effect
-    const startLight = new THREE.PointLight(0xFF0000, 10, 15);
-    startLight.position.set(0, -laserLength / 2, 0);
-    laserGroup.add(startLight);
+    scene.add(laserGroup);
 
-    const midLight = new THREE.PointLight(0xFF4400, 5, 10);
-    midLight.position.set(0, 0, 0);
-    laserGroup.add(midLight);
+    // Pooled point lights at the muzzle and mid-beam, dark until the beam fires (skipped if none are free)
+    const startLight = acquire(lightPool);
+    if (startLight) {
+        startLight.color.setHex(0xFF0000);
+        startLight.distance = 15;
+        startLight.position.copy(origin);
+    }
 
-    scene.add(laserGroup);
+    const midLight = acquire(lightPool);
+    if (midLight) {
+        midLight.color.setHex(0xFF4400);
+        midLight.distance = 10;
+        midLight.position.copy(laserGroup.position);
+    }
 
     // Store laser data
     const laserData = {
@@ -356,11 +617,20 @@ export function createBossLaser(scene, origin, direction, onHitPlayer) {
         origin: origin.clone(),
         direction: direction.clone().normalize(),
         length: laserLength,
-        startTime: performance.now() / 1000,
-        duration: laserDuration,
+        age: 0,
+        chargeTime: chargeTime,
+        duration: duration,
+        firing: !charging,
+        beam: beam,
+        core: core,
+        glow: glow,
+        warning: warning,
         beamMaterial: beamMaterial,
         coreMaterial: coreMaterial,
         glowMaterial: glowMaterial,
+        warningMaterial: warningMaterial,
+        startLight: startLight,
+        midLight: midLight,
         onHitPlayer: onHitPlayer,
         hasHitPlayer: false
     };
@@ -371,42 +641,58 @@ export function createBossLaser(scene, origin, direction, onHitPlayer) {
 }
 
 /**
- * Updates all active laser beams
+ * Updates all active lasers (charge warning, beam pulse and player hit test)
  * @param {number} deltaTime - Time since last frame
  * @param {THREE.Scene} scene - Scene reference
  * @param {THREE.Vector3} playerPosition - Player position for collision
  */
 export function updateLasers(deltaTime, scene, playerPosition) {
-    const currentTime = performance.now() / 1000;
-
     for (let i = activeLasers.length - 1; i >= 0; i--) {
         const laser = activeLasers[i];
-        const elapsed = currentTime - laser.startTime;
+        laser.age += deltaTime;
+
+        // Charging: blink the warning line, faster and brighter as the shot nears
+        if (!laser.firing) {
+            if (laser.age < laser.chargeTime) {
+                const charge = laser.age / laser.chargeTime;
+                const blink = Math.sin(laser.age * (8 + charge * 24)) * 0.5 + 0.5;
+                laser.warningMaterial.opacity = (0.2 + 0.6 * charge) * (0.5 + 0.5 * blink);
+                continue;
+            }
+
+            // Charge complete - fire the beam
+            laser.firing = true;
+            laser.warning.visible = false;
+            laser.glow.visible = laser.beam.visible = laser.core.visible = true;
+        }
+
+        const elapsed = laser.age - laser.chargeTime;
         const progress = elapsed / laser.duration;
 
         if (progress >= 1.0) {
             // Remove laser
-            scene.remove(laser.group);
-            laser.group.traverse((child) => {
-                if (child.geometry) child.geometry.dispose();
-                if (child.material) child.material.dispose();
-            });
+            removeLaser(laser, scene);
             activeLasers.splice(i, 1);
             continue;
         }
 
         // Pulsing effect
         const pulse = Math.sin(elapsed * 20) * 0.2 + 0.8;
-        laser.beamMaterial.opacity = 0.9 * pulse;
-        laser.coreMaterial.opacity = 1.0 * pulse;
-        laser.glowMaterial.opacity = 0.4 * pulse;
+        let fade = 1;
 
         // Fade out near end
         if (progress > 0.7) {
-            const fadeProgress = (progress - 0.7) / 0.3;
-            laser.beamMaterial.opacity *= (1 - fadeProgress);
-            laser.coreMaterial.opacity *= (1 - fadeProgress);
-            laser.glowMaterial.opacity *= (1 - fadeProgress);
+            fade = 1 - (progress - 0.7) / 0.3;
+        }
+
+        laser.beamMaterial.opacity = 0.9 * pulse * fade;
+        laser.coreMaterial.opacity = 1.0 * pulse * fade;
+        laser.glowMaterial.opacity = 0.4 * pulse * fade;
+        if (laser.startLight) {
+            laser.startLight.intensity = LASER_START_LIGHT_INTENSITY * fade;
+        }
+        if (laser.midLight) {
+            laser.midLight.intensity = LASER_MID_LIGHT_INTENSITY * fade;
         }
 
         // Check collision with player (if not already hit)
@@ -424,30 +710,43 @@ export function updateLasers(deltaTime, scene, playerPosition) {
             const closestPoint = laserStart.clone().add(laserVec.multiplyScalar(t));
 
             const distanceToLaser = playerPosition.distanceTo(closestPoint);
-            const hitRadius = 2.5; // Player hit radius
 
-            if (distanceToLaser < hitRadius) {
+            if (distanceToLaser < LASER_HIT_RADIUS) {
                 laser.hasHitPlayer = true;
                 if (laser.onHitPlayer) {
-                    laser.onHitPlayer();
+                    laser.onHitPlayer(closestPoint);
                 }
             }
         }
     }
 }
 
+/**
+ * Removes a laser's meshes and returns its lights to the pool
+ * @param {Object} laser - Laser data
+ * @param {THREE.Scene} scene - Scene to remove the laser from
+ */
+function removeLaser(laser, scene) {
+    scene.remove(laser.group);
+    laser.group.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+    if (laser.startLight) {
+        release(lightPool, laser.startLight);
+    }
+    if (laser.midLight) {
+        release(lightPool, laser.midLight);
+    }
+}
+
 /**
  * Clears all active lasers
  * @param {THREE.Scene} scene - Scene to remove lasers from
  */
 export function clearAllLasers(scene) {
-    for (let i = activeLasers.length - 1; i >= 0; i--) {
-        const laser = activeLasers[i];
-        scene.remove(laser.group);
-        laser.group.traverse((child) => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) child.material.dispose();
-        });
+    for (const laser of activeLasers) {
+        removeLaser(laser, scene);
     }
     activeLasers.length = 0;
 }
@@ -461,82 +760,84 @@ export function getActiveLasers() {
 }
 
 /**
- * Creates an explosion animation at a position
- * @param {THREE.Scene} scene - Scene to add explosion to
+ * Creates an explosion at a position
+ * Fragments and flash are shared-system particles tagged with the explosion; the light comes
+ * from the glow light pool (the blast goes unlit if none are free)
  * @param {THREE.Vector3} position - Position of explosion
  * @param {number} color - Color of explosion (default orange)
  */
-export function createExplosion(scene, position, color = 0xFF6600) {
-    const explosionGroup = new THREE.Group();
-    explosionGroup.position.copy(position);
-
-    // Create multiple particles for explosion effect
-    const particleCount = 20;
-    const particles = [];
-
-    for (let i = 0; i < particleCount; i++) {
-        const particleGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-        const particleMaterial = new THREE.MeshBasicMaterial({
-            color: color,
-            transparent: true,
-            opacity: 1.0
-        });
-        const particle = new THREE.Mesh(particleGeometry, particleMaterial);
+export function createExplosion(position, color = 0xFF6600) {
+    const explosion = { light: acquire(lightPool), age: 0 };
 
-        // Random direction for each particle
+    // Fragments thrown out in every direction, falling back under gravity
+    for (let i = 0; i < EXPLOSION_FRAGMENTS; i++) {
         const theta = Math.random() * Math.PI * 2;
         const phi = Math.random() * Math.PI;
-        const velocity = new THREE.Vector3(
+        explosionVelocity.set(
             Math.sin(phi) * Math.cos(theta),
             Math.sin(phi) * Math.sin(theta),
             Math.cos(phi)
         ).multiplyScalar(5 + Math.random() * 5);
 
-        explosionGroup.add(particle);
-        particles.push({
-            mesh: particle,
-            velocity: velocity,
-            material: particleMaterial
+        emitParticle(position, explosionVelocity, {
+            color,
+            size: 0.4,
+            lifetime: EXPLOSION_DURATION,
+            gravity: EXPLOSION_GRAVITY,
+            group: explosion
         });
     }
 
-    // Add bright light flash
-    const explosionLight = new THREE.PointLight(color, 10, 15);
-    explosionGroup.add(explosionLight);
+    // Bright flash at the centre, lighting up nearby hulls and water
+    explosionVelocity.set(0, 0, 0);
+    emitParticle(position, explosionVelocity, {
+        color,
+        size: 3,
+        opacity: 0.8,
+        lifetime: EXPLOSION_FLASH_DURATION,
+        group: explosion
+    });
 
-    scene.add(explosionGroup);
+    if (explosion.light) {
+        explosion.light.color.setHex(color);
+        explosion.light.intensity = EXPLOSION_LIGHT_INTENSITY;
+        explosion.light.distance = EXPLOSION_LIGHT_DISTANCE;
+        explosion.light.position.copy(position);
+    }
 
-    // Animate explosion
-    const startTime = performance.now();
-    const duration = 800; // milliseconds
+    activeExplosions.push(explosion);
+}
 
-    function animateExplosion() {
-        const elapsed = performance.now() - startTime;
-        const progress = elapsed / duration;
+/**
+ * Advances all explosions (called once per simulation tick by the game loop)
+ * Particles move in updateParticles; this fades the flash light and retires finished blasts
+ * @param {number} deltaTime - Time since last update in seconds
+ */
+export function updateExplosions(deltaTime) {
+    for (let i = activeExplosions.length - 1; i >= 0; i--) {
+        const explosion = activeExplosions[i];
+        explosion.age += deltaTime;
+        const progress = explosion.age / EXPLOSION_DURATION;
 
         if (progress >= 1.0) {
-            // Remove explosion
-            scene.remove(explosionGroup);
-            explosionGroup.traverse((child) => {
-                if (child.geometry) child.geometry.dispose();
-                if (child.material) child.material.dispose();
-            });
-            return;
+            releaseExplosion(explosion);
+            activeExplosions.splice(i, 1);
+            continue;
         }
 
-        // Update particles
-        particles.forEach(particle => {
-            particle.mesh.position.add(particle.velocity.clone().multiplyScalar(0.016));
-            particle.velocity.y -= 0.3; // Gravity effect
-            particle.material.opacity = 1.0 - progress;
-        });
-
-        // Fade light
-        explosionLight.intensity = 10 * (1.0 - progress);
-
-        requestAnimationFrame(animateExplosion);
+        if (explosion.light) {
+            explosion.light.intensity = EXPLOSION_LIGHT_INTENSITY * (1.0 - progress);
+        }
     }
-
-    animateExplosion();
 }
 
+/**
+ * Returns an explosion's particles and light to their pools
+ * @param {Object} explosion - Entry from activeExplosions
+ */
+function releaseExplosion(explosion) {
+    releaseParticleGroup(explosion);
+    if (explosion.light) {
+        release(lightPool, explosion.light);
+    }
+}
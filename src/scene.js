@@ -9,6 +9,10 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 let scene, camera, renderer, controls;
 let waterMaterial, waterUniforms;
 let previousShipPositions = new Map(); // Track previous positions for velocity calculation
+const playerVelocity = new THREE.Vector3(); // Latest player ship velocity (used by enemy target leading)
+
+// Water splash decals the shader can draw at once (ripples and foam from splashes.js)
+export const MAX_WATER_SPLASHES = 16;
 
 /**
  * Creates and initializes the Three.js scene
@@ -106,6 +110,12 @@ function addGround() {
         initialVelocities.push(new THREE.Vector3(0, 0, 0));
     }
 
+    // Initialize splash decals (x, z, age, size)
+    const initialSplashes = [];
+    for (let i = 0; i < MAX_WATER_SPLASHES; i++) {
+        initialSplashes.push(new THREE.Vector4(0, 0, 0, 0));
+    }
+
     // Enhanced shader uniforms for realistic ocean
     waterUniforms = {
         time: { value: 0.0 },
@@ -121,7 +131,10 @@ function addGround() {
         sunColor: { value: new THREE.Color(0xFFFAE0) },        // Warm sun color
         shipPositions: { value: initialPositions },
         shipVelocities: { value: initialVelocities },
-        shipCount: { value: 0 }
+        shipCount: { value: 0 },
+        splashes: { value: initialSplashes },
+        splashCount: { value: 0 },
+        splashFoamLifetime: { value: 4.0 }
     };
 
     // Enhanced water shader with realistic ocean effects (optimized)
@@ -135,6 +148,8 @@ function addGround() {
             uniform vec3 shipPositions[32];
             uniform vec3 shipVelocities[32];
             uniform int shipCount;
+            uniform vec4 splashes[${MAX_WATER_SPLASHES}];
+            uniform int splashCount;
 
             varying vec3 vWorldPosition;
             varying float vWaveHeight;
@@ -211,6 +226,18 @@ function addGround() {
                     }
                 }
 
+                // Splash ripples - a ring of waves spreading out from each impact
+                for(int i = 0; i < ${MAX_WATER_SPLASHES}; i++) {
+                    if(i >= splashCount) break;
+
+                    vec4 splash = splashes[i];
+                    float dist = length(vWorldPosition.xz - splash.xy);
+                    float age = splash.z;
+                    float front = age * 4.0 * splash.w;
+                    float envelope = exp(-abs(dist - front) * 1.5) * exp(-age * 1.2);
+                    waveDisplacement += sin(dist * 4.0 - age * 12.0) * envelope * 0.3 * splash.w;
+                }
+
                 pos.z += waveDisplacement;
                 vWaveHeight = waveDisplacement;
 
@@ -235,6 +262,9 @@ function addGround() {
             uniform vec3 foamColor;
             uniform vec3 skyColor;
             uniform vec3 sunColor;
+            uniform vec4 splashes[${MAX_WATER_SPLASHES}];
+            uniform int splashCount;
+            uniform float splashFoamLifetime;
 
             varying vec3 vWorldPosition;
             varying float vWaveHeight;
@@ -287,6 +317,19 @@ function addGround() {
                 float foam = smoothstep(0.3, 0.9, vFoam);
                 float foamPattern = fract(sin(dot(vWorldPosition.xz * 3.0, vec2(12.9898, 78.233))) * 43758.5453);
                 foam *= 0.6 + foamPattern * 0.4;
+
+                // === SPLASH FOAM - patch left where shots hit the water ===
+                float splashFoam = 0.0;
+                for(int i = 0; i < ${MAX_WATER_SPLASHES}; i++) {
+                    if(i >= splashCount) break;
+
+                    vec4 splash = splashes[i];
+                    float dist = length(vWorldPosition.xz - splash.xy);
+                    float radius = (1.0 + splash.z * 0.6) * splash.w;
+                    float fade = 1.0 - clamp(splash.z / splashFoamLifetime, 0.0, 1.0);
+                    splashFoam += smoothstep(radius, radius * 0.3, dist) * fade;
+                }
+                foam = max(foam, clamp(splashFoam, 0.0, 1.0) * (0.6 + foamPattern * 0.4));
                 
                 // === COMBINE ===
                 vec3 finalColor = waterColor;
@@ -329,6 +372,23 @@ export function updateWater(deltaTime) {
     }
 }
 
+/**
+ * Feeds splash decals to the water shader (ripples and foam)
+ * @param {Array<THREE.Vector4>} decals - Decals of (x, z, age, size); only the first `count` are used
+ * @param {number} count - Number of live decals (at most MAX_WATER_SPLASHES)
+ * @param {number} foamLifetime - Seconds a foam patch takes to fade completely
+ */
+export function updateWaterSplashes(decals, count, foamLifetime = 4.0) {
+    if (!waterUniforms) return;
+
+    const decalCount = Math.min(count, MAX_WATER_SPLASHES);
+    for (let i = 0; i < decalCount; i++) {
+        waterUniforms.splashes.value[i].copy(decals[i]);
+    }
+    waterUniforms.splashCount.value = decalCount;
+    waterUniforms.splashFoamLifetime.value = foamLifetime;
+}
+
 /**
  * Updates camera to follow the player ship in third-person view
  * @param {THREE.Group} playerShip - The player's ship/cannon group
@@ -401,11 +461,11 @@ export function updateShipWakes(targets, playerShip, deltaTime) {
         // Calculate velocity
         const prevPos = previousShipPositions.get('player');
         if (prevPos) {
-            const velocity = new THREE.Vector3().subVectors(currentPos, prevPos).divideScalar(deltaTime);
-            velocities.push(velocity);
+            playerVelocity.subVectors(currentPos, prevPos).divideScalar(deltaTime);
         } else {
-            velocities.push(new THREE.Vector3(0, 0, 0));
+            playerVelocity.set(0, 0, 0);
         }
+        velocities.push(playerVelocity.clone());
         previousShipPositions.set('player', currentPos.clone());
         shipIndex++;
     }
@@ -446,6 +506,22 @@ export function updateShipWakes(targets, playerShip, deltaTime) {
     waterUniforms.shipCount.value = shipIndex;
 }
 
+/**
+ * Gets the player ship's velocity as measured by the last wake update
+ * @returns {THREE.Vector3} Velocity in units per second (shared; clone before modifying)
+ */
+export function getPlayerVelocity() {
+    return playerVelocity;
+}
+
+/**
+ * Forgets tracked ship positions (for restart, so teleported ships don't register a velocity spike)
+ */
+export function resetShipVelocities() {
+    previousShipPositions.clear();
+    playerVelocity.set(0, 0, 0);
+}
+
 /**
  * Handles window resize
  */
@@ -0,0 +1,141 @@
+/**
+ * splashes.js - Water impact effects
+ * Spray droplets (shared particle system), an expanding ring and a foam decal
+ * (drawn by the water shader) wherever a shot hits the ocean, so misses are easy to read
+ */
+
+import * as THREE from 'three';
+import { updateWaterSplashes, MAX_WATER_SPLASHES } from './scene.js';
+import { emitParticle } from './particles.js';
+import { createPool, acquire, release } from './pool.js';
+
+// Effect tuning (sizes are for a standard ball and scale with the shot's radius)
+const STANDARD_SHOT_RADIUS = 0.3;
+const SPRAY_PARTICLES = 40;
+const SPRAY_SPEED = 6; // Upward launch speed
+const SPRAY_SPREAD = 2.5; // Sideways launch speed
+const SPRAY_GRAVITY = 12;
+const SPRAY_LIFETIME = 1.4; // seconds
+const RING_LIFETIME = 1.2; // seconds
+const RING_MAX_RADIUS = 3;
+const FOAM_LIFETIME = 4; // seconds the foam decal lingers on the water
+const WATER_SURFACE_OFFSET = 0.05; // Keeps the ring above the water plane
+
+// Active splashes
+const splashes = [];
+
+// Pooled ring meshes (shared geometry, one material each for its own fade) reused across splashes
+const ringGeometry = new THREE.RingGeometry(0.8, 1.0, 32);
+const ringPool = createPool('splash ring', () => {
+    const ring = new THREE.Mesh(ringGeometry, new THREE.MeshBasicMaterial({
+        color: 0xFFFFFF,
+        transparent: true,
+        opacity: 0.8,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    }));
+    ring.rotation.x = -Math.PI / 2;
+    return ring;
+}, ring => ring.removeFromParent());
+
+// Scratch vectors for spawning spray droplets
+const sprayOrigin = new THREE.Vector3();
+const sprayVelocity = new THREE.Vector3();
+
+// Foam decals handed to the water shader each tick (x, z, age, size)
+const decals = Array.from({ length: MAX_WATER_SPLASHES }, () => new THREE.Vector4());
+
+/**
+ * Spawns a splash at the point where a shot entered the water
+ * @param {THREE.Scene} scene - Scene to add the effect to
+ * @param {THREE.Vector3} point - Water intersection point
+ * @param {number} shotRadius - Radius of the shot that hit the water
+ */
+export function spawnSplash(scene, point, shotRadius = STANDARD_SHOT_RADIUS) {
+    const size = shotRadius / STANDARD_SHOT_RADIUS;
+
+    // ============ SPRAY - column of droplets thrown up and out ============
+    sprayOrigin.set(point.x, WATER_SURFACE_OFFSET, point.z);
+    for (let i = 0; i < SPRAY_PARTICLES; i++) {
+        const angle = Math.random() * Math.PI * 2;
+        const outward = Math.random() * SPRAY_SPREAD * size;
+        sprayVelocity.set(
+            Math.cos(angle) * outward,
+            (0.5 + Math.random() * 0.5) * SPRAY_SPEED * Math.sqrt(size),
+            Math.sin(angle) * outward
+        );
+
+        emitParticle(sprayOrigin, sprayVelocity, {
+            color: 0xF0F8FF,
+            size: 0.25 * size,
+            opacity: 0.9,
+            lifetime: SPRAY_LIFETIME,
+            gravity: SPRAY_GRAVITY
+        });
+    }
+
+    // ============ RING - shock ring spreading across the surface ============
+    const ring = acquire(ringPool);
+    ring.material.opacity = 0.8;
+    ring.position.set(point.x, WATER_SURFACE_OFFSET, point.z);
+    ring.scale.setScalar(0.01);
+    scene.add(ring);
+
+    splashes.push({
+        x: point.x,
+        z: point.z,
+        size,
+        age: 0,
+        ring
+    });
+}
+
+/**
+ * Advances all splashes and feeds the foam decals to the water shader
+ * @param {number} deltaTime - Time since last update in seconds
+ */
+export function updateSplashes(deltaTime) {
+    for (let i = splashes.length - 1; i >= 0; i--) {
+        const splash = splashes[i];
+        splash.age += deltaTime;
+
+        // Ring expands quickly then slows, fading as it goes
+        if (splash.ring) {
+            if (splash.age >= RING_LIFETIME) {
+                release(ringPool, splash.ring);
+                splash.ring = null;
+            } else {
+                const progress = splash.age / RING_LIFETIME;
+                const radius = RING_MAX_RADIUS * splash.size * (1 - Math.pow(1 - progress, 3));
+                splash.ring.scale.setScalar(Math.max(radius, 0.01));
+                splash.ring.material.opacity = 0.8 * (1 - progress);
+            }
+        }
+
+        // Foam decal outlives the spray; remove the splash once it has faded
+        if (splash.age >= FOAM_LIFETIME) {
+            splashes.splice(i, 1);
+        }
+    }
+
+    // Newest splashes win if there are more than the shader can hold
+    let count = 0;
+    for (let i = splashes.length - 1; i >= 0 && count < MAX_WATER_SPLASHES; i--) {
+        const splash = splashes[i];
+        decals[count++].set(splash.x, splash.z, splash.age, splash.size);
+    }
+    updateWaterSplashes(decals, count, FOAM_LIFETIME);
+}
+
+/**
+ * Removes every splash (for restart)
+ */
+export function clearSplashes() {
+    for (const splash of splashes) {
+        if (splash.ring) {
+            release(ringPool, splash.ring);
+        }
+    }
+    splashes.length = 0;
+    updateWaterSplashes(decals, 0);
+}
@@ -0,0 +1,151 @@
+/**
+ * squadrons.js - Guard ship squadrons
+ * Groups guard ships under a leader, gives followers their formation slots,
+ * staggers the squadron's gunfire and re-forms the line when a ship is sunk
+ */
+
+import { getTime } from './clock.js';
+
+const FORMATION_SPACING = 8; // Distance between neighbouring ships in a formation
+const SHOT_STAGGER = 1.2; // seconds between shots from the same squadron
+
+// Formation slot layouts: slot index (1 = first follower) -> offset in the leader's frame
+// x is to starboard, z is astern (ships' bows point down local -Z)
+const FORMATIONS = {
+    // Single file behind the leader - every ship's broadside is clear (line of battle)
+    lineAhead: (slot) => ({ x: 0, z: slot * FORMATION_SPACING }),
+    // Alternating port and starboard behind the leader, widening each row
+    wedge: (slot) => {
+        const row = Math.ceil(slot / 2);
+        const side = slot % 2 === 1 ? -1 : 1;
+        return { x: side * row * FORMATION_SPACING * 0.75, z: row * FORMATION_SPACING * 0.66 };
+    }
+};
+
+// Cruising formations handed out to squadrons in turn
+const CRUISING_FORMATIONS = ['wedge', 'lineAhead'];
+
+// Active squadrons
+const squadrons = [];
+
+/**
+ * Groups ships into a squadron led by the first ship
+ * @param {Array<Object>} ships - Members in order (leader first, then formation slots)
+ * @returns {Object} Squadron {members, formation, cruisingFormation, nextShotTime}
+ */
+export function createSquadron(ships) {
+    const cruisingFormation = CRUISING_FORMATIONS[squadrons.length % CRUISING_FORMATIONS.length];
+    const squadron = {
+        members: ships.slice(),
+        formation: cruisingFormation,
+        cruisingFormation,
+        nextShotTime: 0
+    };
+
+    for (const ship of ships) {
+        ship.squadron = squadron;
+    }
+    squadrons.push(squadron);
+    return squadron;
+}
+
+/**
+ * Gets a squadron's current leader
+ * @param {Object} squadron - Squadron from createSquadron
+ * @returns {Object} Leading ship
+ */
+export function getSquadronLeader(squadron) {
+    return squadron.members[0];
+}
+
+/**
+ * Checks whether a ship is following a leader (rather than leading or sailing alone)
+ * @param {Object} ship - Guard ship
+ * @returns {boolean} True if the ship holds a formation slot
+ */
+export function isFollower(ship) {
+    return !!ship.squadron && ship.squadron.members[0] !== ship;
+}
+
+/**
+ * Switches the squadron's formation
+ * @param {Object} squadron - Squadron from createSquadron
+ * @param {string} formation - Key of FORMATIONS ('lineAhead' or 'wedge')
+ */
+export function setFormation(squadron, formation) {
+    squadron.formation = FORMATIONS[formation] ? formation : squadron.cruisingFormation;
+}
+
+/**
+ * Gets the world position a follower should hold, from the leader's position and heading
+ * @param {Object} ship - Follower ship
+ * @param {THREE.Vector3} out - Receives the slot position (y untouched)
+ * @returns {THREE.Vector3} out
+ */
+export function getFormationSlot(ship, out) {
+    const squadron = ship.squadron;
+    const leader = squadron.members[0];
+    const offset = FORMATIONS[squadron.formation](squadron.members.indexOf(ship));
+
+    // Leader's frame to world (rotation about Y by the leader's heading)
+    const heading = leader.mesh.rotation.y;
+    const cos = Math.cos(heading);
+    const sin = Math.sin(heading);
+    out.x = leader.mesh.position.x + offset.x * cos + offset.z * sin;
+    out.z = leader.mesh.position.z - offset.x * sin + offset.z * cos;
+    return out;
+}
+
+/**
+ * Checks whether a ship's squadron lets it fire now (one shot per stagger interval)
+ * @param {Object} ship - Guard ship (ships outside a squadron may always fire)
+ * @returns {boolean} True if the ship may fire
+ */
+export function isSquadronGunReady(ship) {
+    return !ship.squadron || getTime() >= ship.squadron.nextShotTime;
+}
+
+/**
+ * Records a shot so the rest of the squadron holds fire for the stagger interval
+ * @param {Object} ship - Guard ship that just fired
+ */
+export function recordSquadronShot(ship) {
+    if (ship.squadron) {
+        ship.squadron.nextShotTime = getTime() + SHOT_STAGGER;
+    }
+}
+
+/**
+ * Takes a sunk ship out of its squadron; followers close up the gaps, the next ship
+ * takes over if the leader was lost, and a lone survivor sails on by itself
+ * @param {Object} ship - Ship that was sunk
+ */
+export function leaveSquadron(ship) {
+    const squadron = ship.squadron;
+    if (!squadron) return;
+
+    ship.squadron = null;
+    const index = squadron.members.indexOf(ship);
+    if (index >= 0) {
+        squadron.members.splice(index, 1);
+    }
+
+    if (squadron.members.length <= 1) {
+        for (const member of squadron.members) {
+            member.squadron = null;
+        }
+        squadrons.splice(squadrons.indexOf(squadron), 1);
+    }
+}
+
+/**
+ * Disbands every squadron (for restart)
+ */
+export function clearSquadrons() {
+    for (const squadron of squadrons) {
+        for (const member of squadron.members) {
+            member.squadron = null;
+        }
+    }
+    squadrons.length = 0;
+}
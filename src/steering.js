@@ -0,0 +1,272 @@
+/**
+ * steering.js - Steering behaviours for AI ships
+ * Classic seek / flee / pursue / arrive / wander / separation forces on the water plane,
+ * plus lookahead obstacle avoidance and containment inside the play area
+ * Each behaviour writes a steering force into `out` (y always 0) so callers can weight
+ * and sum them, then integrate() turns the total into velocity and position
+ */
+
+import * as THREE from 'three';
+
+const MAX_PREDICTION_TIME = 2; // seconds pursue looks ahead at most
+const WANDER_DISTANCE = 4; // How far ahead of the ship the wander circle sits
+const WANDER_RADIUS = 2;
+const WANDER_JITTER = 2.5; // radians per second the wander target drifts
+const MIN_HEADING_SPEED = 0.05; // Slower than this, ships keep their current heading
+const MIN_AVOID_SPEED = 0.1; // Agents this slow aren't heading into anything
+
+// Scratch vectors
+const desired = new THREE.Vector3();
+const predicted = new THREE.Vector3();
+const offset = new THREE.Vector3();
+const forward = new THREE.Vector3();
+const lateral = new THREE.Vector3();
+
+/**
+ * Steers straight toward a point at full speed
+ * @param {THREE.Vector3} position - Agent position
+ * @param {THREE.Vector3} velocity - Agent velocity
+ * @param {THREE.Vector3} point - Point to head for
+ * @param {number} maxSpeed - Agent top speed
+ * @param {THREE.Vector3} out - Receives the steering force
+ * @returns {THREE.Vector3} out
+ */
+export function seek(position, velocity, point, maxSpeed, out) {
+    desired.set(point.x - position.x, 0, point.z - position.z);
+    if (desired.lengthSq() > 1e-8) {
+        desired.setLength(maxSpeed);
+    }
+    return out.set(desired.x - velocity.x, 0, desired.z - velocity.z);
+}
+
+/**
+ * Steers straight away from a point at full speed
+ * @param {THREE.Vector3} position - Agent position
+ * @param {THREE.Vector3} velocity - Agent velocity
+ * @param {THREE.Vector3} point - Threat to get away from
+ * @param {number} maxSpeed - Agent top speed
+ * @param {THREE.Vector3} out - Receives the steering force
+ * @returns {THREE.Vector3} out
+ */
+export function flee(position, velocity, point, maxSpeed, out) {
+    desired.set(position.x - point.x, 0, position.z - point.z);
+    if (desired.lengthSq() > 1e-8) {
+        desired.setLength(maxSpeed);
+    }
+    return out.set(desired.x - velocity.x, 0, desired.z - velocity.z);
+}
+
+/**
+ * Steers toward a point, slowing down inside the slowing radius to stop on it
+ * @param {THREE.Vector3} position - Agent position
+ * @param {THREE.Vector3} velocity - Agent velocity
+ * @param {THREE.Vector3} point - Point to stop at
+ * @param {number} maxSpeed - Agent top speed
+ * @param {number} slowingRadius - Distance at which the agent starts braking
+ * @param {THREE.Vector3} out - Receives the steering force
+ * @returns {THREE.Vector3} out
+ */
+export function arrive(position, velocity, point, maxSpeed, slowingRadius, out) {
+    desired.set(point.x - position.x, 0, point.z - position.z);
+    const distance = desired.length();
+    if (distance > 1e-4) {
+        desired.multiplyScalar(maxSpeed * Math.min(distance / slowingRadius, 1) / distance);
+    }
+    return out.set(desired.x - velocity.x, 0, desired.z - velocity.z);
+}
+
+/**
+ * Steers toward where a moving quarry will be, not where it is
+ * @param {THREE.Vector3} position - Agent position
+ * @param {THREE.Vector3} velocity - Agent velocity
+ * @param {THREE.Vector3} quarryPosition - Quarry position
+ * @param {THREE.Vector3} quarryVelocity - Quarry velocity
+ * @param {number} maxSpeed - Agent top speed
+ * @param {THREE.Vector3} out - Receives the steering force
+ * @returns {THREE.Vector3} out
+ */
+export function pursue(position, velocity, quarryPosition, quarryVelocity, maxSpeed, out) {
+    const dx = quarryPosition.x - position.x;
+    const dz = quarryPosition.z - position.z;
+    const lookAhead = Math.min(Math.sqrt(dx * dx + dz * dz) / Math.max(maxSpeed, 1e-4), MAX_PREDICTION_TIME);
+
+    predicted.copy(quarryPosition).addScaledVector(quarryVelocity, lookAhead);
+    return seek(position, velocity, predicted, maxSpeed, out);
+}
+
+/**
+ * Steers toward a target that drifts around a circle ahead of the agent, for idle meandering
+ * @param {THREE.Vector3} position - Agent position
+ * @param {THREE.Vector3} velocity - Agent velocity
+ * @param {Object} agent - Holds the agent's wanderAngle between calls (updated in place)
+ * @param {number} maxSpeed - Agent top speed
+ * @param {number} deltaTime - Time since last update in seconds
+ * @param {THREE.Vector3} out - Receives the steering force
+ * @returns {THREE.Vector3} out
+ */
+export function wander(position, velocity, agent, maxSpeed, deltaTime, out) {
+    agent.wanderAngle += (Math.random() * 2 - 1) * WANDER_JITTER * deltaTime;
+
+    // Circle centre straight ahead (or along +Z from a standstill)
+    offset.set(velocity.x, 0, velocity.z);
+    if (offset.lengthSq() > 1e-8) {
+        offset.setLength(WANDER_DISTANCE);
+    } else {
+        offset.set(0, 0, WANDER_DISTANCE);
+    }
+
+    predicted.set(
+        position.x + offset.x + Math.cos(agent.wanderAngle) * WANDER_RADIUS,
+        0,
+        position.z + offset.z + Math.sin(agent.wanderAngle) * WANDER_RADIUS
+    );
+    return seek(position, velocity, predicted, maxSpeed, out);
+}
+
+/**
+ * Pushes away from nearby neighbours, harder the closer they are
+ * @param {THREE.Vector3} position - Agent position
+ * @param {Array<THREE.Vector3>} neighbours - Positions of the other agents nearby
+ * @param {number} radius - Neighbours farther than this are ignored
+ * @param {number} maxSpeed - Agent top speed (scales the push)
+ * @param {THREE.Vector3} out - Receives the steering force
+ * @returns {THREE.Vector3} out
+ */
+export function separation(position, neighbours, radius, maxSpeed, out) {
+    out.set(0, 0, 0);
+
+    for (const neighbour of neighbours) {
+        offset.set(position.x - neighbour.x, 0, position.z - neighbour.z);
+        const distance = offset.length();
+        if (distance < 1e-4 || distance >= radius) continue;
+
+        // Full push when touching, fading to nothing at the edge of the radius
+        out.addScaledVector(offset, (1 - distance / radius) / distance);
+    }
+
+    return out.multiplyScalar(maxSpeed);
+}
+
+/**
+ * Steers around the most urgent obstacle in a corridor ahead of the agent
+ * The corridor is as wide as agent plus obstacle and reaches lookAhead along the velocity;
+ * the nearest obstacle in it pushes the agent sideways (and brakes it), harder the closer it is
+ * @param {THREE.Vector3} position - Agent position
+ * @param {THREE.Vector3} velocity - Agent velocity
+ * @param {Array<Object>} obstacles - Circles to avoid, {x, z, radius}
+ * @param {number} agentRadius - Agent's own clearance radius
+ * @param {number} lookAhead - How far ahead to look (units)
+ * @param {number} maxSpeed - Agent top speed (scales the push)
+ * @param {THREE.Vector3} out - Receives the steering force
+ * @returns {THREE.Vector3} out
+ */
+export function avoidObstacles(position, velocity, obstacles, agentRadius, lookAhead, maxSpeed, out) {
+    out.set(0, 0, 0);
+
+    const speed = Math.hypot(velocity.x, velocity.z);
+    if (speed < MIN_AVOID_SPEED) return out;
+    forward.set(velocity.x / speed, 0, velocity.z / speed);
+
+    let nearestAhead = Infinity;
+    let nearestReach = 0;
+    for (const obstacle of obstacles) {
+        offset.set(obstacle.x - position.x, 0, obstacle.z - position.z);
+        const clearance = obstacle.radius + agentRadius;
+        const ahead = offset.dot(forward);
+        if (ahead <= 0 || ahead > lookAhead + clearance || ahead >= nearestAhead) continue;
+
+        // Sideways offset of the obstacle from the agent's path
+        lateral.copy(offset).addScaledVector(forward, -ahead);
+        if (lateral.lengthSq() >= clearance * clearance) continue;
+
+        nearestAhead = ahead;
+        nearestReach = lookAhead + clearance;
+        out.copy(lateral);
+    }
+
+    if (nearestAhead === Infinity) return out;
+
+    // Dead ahead: pick a side (to starboard) rather than stalling
+    if (out.lengthSq() < 1e-8) {
+        out.set(forward.z, 0, -forward.x);
+    }
+
+    const urgency = 1 - nearestAhead / nearestReach;
+    out.normalize().multiplyScalar(-maxSpeed * (1 + urgency));
+    return out.addScaledVector(forward, -speed * urgency);
+}
+
+/**
+ * Turns the agent back toward the middle before it sails out of a circular area
+ * @param {THREE.Vector3} position - Agent position
+ * @param {THREE.Vector3} velocity - Agent velocity
+ * @param {number} radius - Radius of the area (centred on the origin)
+ * @param {number} lookAheadTime - Seconds ahead the agent's predicted position is checked
+ * @param {number} maxSpeed - Agent top speed
+ * @param {THREE.Vector3} out - Receives the steering force
+ * @returns {THREE.Vector3} out
+ */
+export function containWithinRadius(position, velocity, radius, lookAheadTime, maxSpeed, out) {
+    predicted.set(position.x + velocity.x * lookAheadTime, 0, position.z + velocity.z * lookAheadTime);
+    if (predicted.lengthSq() <= radius * radius) {
+        return out.set(0, 0, 0);
+    }
+
+    desired.copy(predicted).setLength(-maxSpeed);
+    return out.set(desired.x - velocity.x, 0, desired.z - velocity.z);
+}
+
+/**
+ * Pushes a position back inside a circular area (hard limit behind containWithinRadius)
+ * @param {THREE.Vector3} position - Position (modified in place)
+ * @param {THREE.Vector3} velocity - Velocity; its outward component is removed at the edge
+ * @param {number} radius - Radius of the area (centred on the origin)
+ */
+export function clampToRadius(position, velocity, radius) {
+    const distance = Math.hypot(position.x, position.z);
+    if (distance <= radius) return;
+
+    const nx = position.x / distance;
+    const nz = position.z / distance;
+    position.x = nx * radius;
+    position.z = nz * radius;
+
+    const outward = velocity.x * nx + velocity.z * nz;
+    if (outward > 0) {
+        velocity.x -= outward * nx;
+        velocity.z -= outward * nz;
+    }
+}
+
+/**
+ * Applies a steering force to an agent: limits it, updates velocity, then moves the agent
+ * @param {THREE.Vector3} position - Agent position (modified in place)
+ * @param {THREE.Vector3} velocity - Agent velocity (modified in place)
+ * @param {THREE.Vector3} force - Total steering force (modified: clamped to maxForce)
+ * @param {number} maxForce - Largest acceleration the agent can apply (units/s²)
+ * @param {number} maxSpeed - Agent top speed
+ * @param {number} deltaTime - Time step in seconds
+ */
+export function integrate(position, velocity, force, maxForce, maxSpeed, deltaTime) {
+    force.y = 0;
+    force.clampLength(0, maxForce);
+
+    velocity.addScaledVector(force, deltaTime);
+    velocity.y = 0;
+    velocity.clampLength(0, maxSpeed);
+
+    position.addScaledVector(velocity, deltaTime);
+}
+
+/**
+ * Gets the yaw that points a ship's bow (local -Z) along its velocity
+ * @param {THREE.Vector3} velocity - Ship velocity
+ * @param {number} currentHeading - Yaw to keep when the ship is barely moving
+ * @returns {number} Yaw in radians (for mesh.rotation.y)
+ */
+export function getHeading(velocity, currentHeading) {
+    if (velocity.x * velocity.x + velocity.z * velocity.z < MIN_HEADING_SPEED * MIN_HEADING_SPEED) {
+        return currentHeading;
+    }
+    return Math.atan2(-velocity.x, -velocity.z);
+}
@@ -5,57 +5,262 @@
 
 import * as THREE from 'three';
 import { randomInRange, pingPong } from './utils.js';
+import { getTime } from './clock.js';
+import { computeInterceptSolution } from './ballistics.js';
+import { getBallisticParameters } from './projectile.js';
+import { getWindAcceleration } from './wind.js';
+import { getOBBFromObject, getAABBFromOBB, sphereVsOBB, distanceToOBB, createSpatialGrid, updateInGrid, removeFromGrid, queryGrid, clearGrid } from './collision.js';
+import { seek, flee, arrive, pursue, wander, separation, avoidObstacles, containWithinRadius, clampToRadius, integrate, getHeading } from './steering.js';
+import { getTreasures } from './treasures.js';
+import { BOUNDARY_RADIUS } from './input.js';
+import { createSquadron, getSquadronLeader, isFollower, setFormation, getFormationSlot, isSquadronGunReady, recordSquadronShot } from './squadrons.js';
 
 const targets = [];
 const TARGET_HEIGHT = 0.5;
 const BOSS_HEIGHT = 0.8;
+const PLAYER_AIM_HEIGHT = 0.9; // Enemy gunners aim at the player's deck, not the waterline
+const MAX_AIM_ERROR = 0.25; // Miss distance per unit of range for a gunner with 0 accuracy
 const BOSS_MAX_HITS = 4; // Boss requires 4 hits to destroy
+const BOSS_LASER_FIRST_DELAY = 6; // seconds before the first laser
+const BOSS_LASER_INTERVAL = 10; // seconds between lasers
+const BOSS_LASER_CHARGE_TIME = 1.5; // seconds of warning line before the beam
+const BOSS_LASER_DURATION = 1.0; // seconds the beam lasts
+const BOSS_LASER_HEIGHT = 4.5; // Main gun height above the boss's waterline
+const BOSS_MAX_SPEED = 6; // Fastest the boss sails when catching up with its patrol path
+const BOSS_RAM_WINDUP = 1.0; // seconds the boss stops and turns toward the player before ramming
+const BOSS_RAM_SPEED = 14;
+const BOSS_RAM_DURATION = 1.5; // seconds of full-speed charge
+const BOSS_ESCORT_ORBIT_RADIUS = 20; // Summoned escorts circle the boss's patrol area
+const BOSS_MAX_FORCE = 3; // The flagship is heavy - it turns and brakes slowly
+const BOSS_AVOID_RADIUS = 8; // Clearance the boss keeps from obstacles (its hull is ~19 long)
+
+// Boss fight phases, entered as the boss's remaining hits drop to maxHitsRemaining
+// pattern: 'figure8' or 'circle' patrol around the patrol centre
+// spreadCount/spreadAngle: cannonballs per volley and radians between them
+// ramInterval: seconds between ram charges (0 = never rams)
+// summonEscorts: ships called in when the phase starts; tint: hull glow for the phase
+const BOSS_PHASES = [
+    {
+        name: 'Patrol',
+        maxHitsRemaining: 4,
+        pattern: 'figure8',
+        patrolSpeed: 0.15,
+        shootInterval: 3.5,
+        spreadCount: 3,
+        spreadAngle: 0.15, // ~8.5 degrees
+        laserInterval: 10,
+        ramInterval: 0,
+        summonEscorts: 0,
+        tint: 0x000000,
+        announcement: null
+    },
+    {
+        name: 'Enraged',
+        maxHitsRemaining: 2,
+        pattern: 'circle',
+        patrolSpeed: 0.3,
+        shootInterval: 2.5,
+        spreadCount: 5,
+        spreadAngle: 0.12,
+        laserInterval: 8,
+        ramInterval: 0,
+        summonEscorts: 2,
+        tint: 0x441100,
+        announcement: 'The flagship signals for escorts!'
+    },
+    {
+        name: 'Desperate',
+        maxHitsRemaining: 1,
+        pattern: 'circle',
+        patrolSpeed: 0.35,
+        shootInterval: 2.0,
+        spreadCount: 5,
+        spreadAngle: 0.12,
+        laserInterval: 7,
+        ramInterval: 6,
+        summonEscorts: 0,
+        tint: 0x880000,
+        announcement: 'The flagship is coming about to ram!'
+    }
+];
+
+// Boss phase listeners, called with (boss, phase) when the boss enters a new phase
+const bossPhaseListeners = [];
+
+// Scratch vectors for boss movement and volleys
+const bossPatrolPoint = new THREE.Vector3();
+const UP_AXIS = new THREE.Vector3(0, 1, 0);
+
+const SHIP_MAX_HITS = 2; // Regular ships survive one hull hit
+const CRIPPLED_SPEED_MULTIPLIER = 0.5; // Speed after a mast hit
+
+// Named hit regions in ship-local space (matching the parts built in spawnTarget / spawnBossShip)
+const SHIP_HIT_REGIONS = [
+    { name: 'hull', center: new THREE.Vector3(0, 0.4, -0.575), halfExtents: new THREE.Vector3(0.8, 0.4, 2.325) },
+    { name: 'bridge', center: new THREE.Vector3(0, 1.15, 0.2), halfExtents: new THREE.Vector3(0.55, 0.35, 0.7) },
+    { name: 'turret', center: new THREE.Vector3(0, 0.97, -1.35), halfExtents: new THREE.Vector3(0.28, 0.17, 0.6) },
+    { name: 'mast', center: new THREE.Vector3(0, 1.95, 0.1), halfExtents: new THREE.Vector3(0.2, 0.45, 0.2) }
+];
+const BOSS_HIT_REGIONS = [
+    { name: 'hull', center: new THREE.Vector3(0, 1.425, -2.625), halfExtents: new THREE.Vector3(2.55, 1.425, 9.375) },
+    { name: 'bridge', center: new THREE.Vector3(0, 4.65, 0.9), halfExtents: new THREE.Vector3(1.95, 1.65, 3.0) },
+    { name: 'turret', center: new THREE.Vector3(0, 4.05, -7.05), halfExtents: new THREE.Vector3(1.8, 1.05, 4.35) },
+    { name: 'mast', center: new THREE.Vector3(0, 8.2, 0.6), halfExtents: new THREE.Vector3(1.2, 1.9, 0.9) }
+];
+
+// What a hit on each region does
+const REGION_EFFECTS = {
+    hull: { damage: 1 },
+    bridge: { damage: 2, critical: true }, // Critical: double damage and bonus score
+    turret: { damage: 1, disablesTurret: true }, // Main gun knocked out - ship stops firing
+    mast: { damage: 1, slows: true } // Rigging shot away - ship moves at reduced speed
+};
+
+// Broad phase: ships bucketed by their cached hull bounds
+const TARGET_GRID_CELL_SIZE = 16;
+const targetGrid = createSpatialGrid(TARGET_GRID_CELL_SIZE);
 
 // Movement parameters
 const SHIP_RADIUS = 4.0; // Safe radius around each ship (prevents touching)
 const GRID_SPACING = 10; // Distance between ship centers (must be > 2 * SHIP_RADIUS)
 const MOVEMENT_RADIUS = 1.5; // How far ships move from their center position
 
+// Guard ship behaviour states (see updateShipAI), each with its top speed
+// patrol: sail the patrol loop around the guarded post, meandering a little
+// alert: player spotted nearby - ease off and turn to watch them
+// engage: close to firing range and hold a standoff distance from the player
+// retreat: run from the player after taking fresh damage
+// return: sail back to the patrol loop
+// formation: squadron follower holding its slot on the leader (the leader runs the other states)
+const SHIP_AI_STATES = {
+    patrol: { maxSpeed: 2.4 },
+    alert: { maxSpeed: 1.2 },
+    engage: { maxSpeed: 4.5 },
+    retreat: { maxSpeed: 5 },
+    return: { maxSpeed: 3.5 },
+    formation: { maxSpeed: 5.5 } // Fast enough to catch up with an engaging leader
+};
+const SHIP_MAX_FORCE = 4; // Largest steering acceleration (units/s²) - ships can't turn on a dime
+const ALERT_RANGE_FACTOR = 1.6; // Alert range as a multiple of detectionRadius
+const ALERT_DURATION = 1.5; // seconds watching before moving to engage
+const ENGAGE_STANDOFF = 0.6; // Preferred range from the player as a fraction of detectionRadius
+const LEASH_DISTANCE = 22; // Engaging ships give up the chase this far outside their patrol loop
+const RETREAT_DURATION = 4; // seconds spent running after a hit
+const PATROL_LEAD_ANGLE = 0.5; // radians ahead on the patrol loop that patrolling ships steer for
+const PATROL_TOLERANCE = 2; // How close to the patrol loop counts as back on station
+const SQUADRON_PATROL_MARGIN = 8; // Squadron patrol loops pass this far outside the outermost posts
+const FORMATION_LEAD_TIME = 0.5; // seconds ahead of its slot a follower aims, to keep pace with the leader
+const SEPARATION_RADIUS = SHIP_RADIUS * 2;
+const SEPARATION_WEIGHT = 1.5;
+const WANDER_WEIGHT = 0.3;
+
+// Obstacle avoidance and play-area containment (guard ships and the boss)
+const SHIP_AVOID_RADIUS = 2.5; // Clearance a guard ship keeps from obstacles (its hull is ~5 long)
+const PLAYER_AVOID_RADIUS = 2; // Player ship as an obstacle
+const CHEST_AVOID_RADIUS = 1.5;
+const MEGA_CHEST_AVOID_RADIUS = 2.5;
+const AVOID_LOOKAHEAD_TIME = 1.5; // seconds of travel the avoidance corridor covers
+const MIN_AVOID_LOOKAHEAD = 3; // Slow ships still look this far ahead
+const AVOID_WEIGHT = 3;
+const CONTAIN_LOOKAHEAD_TIME = 2; // seconds ahead ships check they'll still be inside the play area
+const CONTAIN_WEIGHT = 3;
+
+// Scratch vectors for ship steering
+const steeringForce = new THREE.Vector3();
+const behaviourForce = new THREE.Vector3();
+const steeringPoint = new THREE.Vector3();
+const avoidanceForce = new THREE.Vector3();
+const ZERO_VELOCITY = new THREE.Vector3();
+
+// Scratch wind acceleration for firing solutions
+const windAcceleration = new THREE.Vector3();
+
 /**
  * Spawns guard ships in circles around treasures
  * @param {THREE.Scene} scene - Scene to add targets to
  * @param {Array} treasurePositions - Array of treasure positions {x, z}
  * @param {number} shipsPerTreasure - Number of ships guarding each treasure
+ * @param {number} squadronSize - Guards per squadron, grouped in spawn order (1 = every ship sails alone)
  */
-export function spawnTargets(scene, treasurePositions, shipsPerTreasure = 5) {
+export function spawnTargets(scene, treasurePositions, shipsPerTreasure = 5, squadronSize = 1) {
     // Clear existing targets
     for (const target of targets) {
         scene.remove(target.mesh);
     }
     targets.length = 0;
+    clearGrid(targetGrid);
 
     // Spawn ships in circles around each treasure
     for (let i = 0; i < treasurePositions.length; i++) {
         const treasure = treasurePositions[i];
-        const orbitRadius = 8; // Radius of the circle around treasure
+        const patrolRadius = 8; // Radius of the circle around treasure
 
         for (let j = 0; j < shipsPerTreasure; j++) {
             // Calculate position in circle
             const angle = (j / shipsPerTreasure) * Math.PI * 2;
-            const x = treasure.x + Math.cos(angle) * orbitRadius;
-            const z = treasure.z + Math.sin(angle) * orbitRadius;
+            const x = treasure.x + Math.cos(angle) * patrolRadius;
+            const z = treasure.z + Math.sin(angle) * patrolRadius;
 
-            spawnTarget(scene, treasure.x, treasure.z, orbitRadius, angle, i, j);
+            spawnTarget(scene, treasure.x, treasure.z, patrolRadius, angle, i, j);
         }
     }
+
+    // Treasures are laid out row by row, so consecutive guards share a stretch of water
+    if (squadronSize > 1) {
+        for (let i = 0; i + 1 < targets.length; i += squadronSize) {
+            formSquadron(targets.slice(i, i + squadronSize));
+        }
+    }
+}
+
+/**
+ * Groups guard ships into a squadron sailing one patrol loop around all their posts
+ * The leader (first ship) starts on the loop and the others start in their formation slots
+ * @param {Array<Object>} ships - Guard ships, leader first
+ */
+function formSquadron(ships) {
+    // The loop is an ellipse around the members' posts
+    let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+    for (const ship of ships) {
+        minX = Math.min(minX, ship.treasureX);
+        maxX = Math.max(maxX, ship.treasureX);
+        minZ = Math.min(minZ, ship.treasureZ);
+        maxZ = Math.max(maxZ, ship.treasureZ);
+    }
+
+    for (const ship of ships) {
+        ship.treasureX = (minX + maxX) / 2;
+        ship.treasureZ = (minZ + maxZ) / 2;
+        ship.patrolRadiusX = (maxX - minX) / 2 + SQUADRON_PATROL_MARGIN;
+        ship.patrolRadiusZ = (maxZ - minZ) / 2 + SQUADRON_PATROL_MARGIN;
+    }
+
+    const squadron = createSquadron(ships);
+    const leader = getSquadronLeader(squadron);
+    placeOnPatrolLoop(leader, Math.random() * Math.PI * 2);
+    refreshTargetBounds(leader);
+
+    for (const ship of ships) {
+        if (ship === leader) continue;
+        getFormationSlot(ship, ship.mesh.position);
+        ship.velocity.copy(leader.velocity);
+        ship.mesh.rotation.y = leader.mesh.rotation.y;
+        setShipState(ship, 'formation');
+        refreshTargetBounds(ship);
+    }
 }
 
 /**
- * Spawns a single navy ship target that orbits around a treasure
+ * Spawns a single navy ship target that patrols around a treasure
  * @param {THREE.Scene} scene - Scene to add target to
  * @param {number} treasureX - X position of treasure being guarded
  * @param {number} treasureZ - Z position of treasure being guarded
- * @param {number} orbitRadius - Radius of orbit around treasure
- * @param {number} startAngle - Starting angle in the orbit
+ * @param {number} patrolRadius - Radius of the patrol circle around the treasure
+ * @param {number} startAngle - Starting angle on the patrol circle
  * @param {number} treasureIndex - Index of treasure being guarded
  * @param {number} shipIndex - Index of this ship in the guard circle
  */
-function spawnTarget(scene, treasureX, treasureZ, orbitRadius, startAngle, treasureIndex, shipIndex) {
+function spawnTarget(scene, treasureX, treasureZ, patrolRadius, startAngle, treasureIndex, shipIndex) {
     // Create a group for the enemy warship
     const shipGroup = new THREE.Group();
     
@@ -283,37 +488,56 @@ function spawnTarget(scene, treasureX, treasureZ, orbitRadius, startAngle, treas
     raft.position.set(0.4, 1.44, 0.5);  // Raised
     shipGroup.add(raft);
 
-    // Calculate initial position on orbit
-    const startX = treasureX + Math.cos(startAngle) * orbitRadius;
-    const startZ = treasureZ + Math.sin(startAngle) * orbitRadius;
+    // Calculate initial position on the patrol circle
+    const startX = treasureX + Math.cos(startAngle) * patrolRadius;
+    const startZ = treasureZ + Math.sin(startAngle) * patrolRadius;
 
     shipGroup.position.set(startX, TARGET_HEIGHT, startZ);
     
     scene.add(shipGroup);
     
-    // Store target data for orbiting behavior
+    // Store target data for patrol behavior
     const target = {
         mesh: shipGroup,
         isMoving: true, // All ships move
-        // Orbit parameters
+        // Patrol post
         treasureX: treasureX, // X position of treasure being guarded
         treasureZ: treasureZ, // Z position of treasure being guarded
-        orbitRadius: orbitRadius, // Radius of circular orbit
-        orbitAngle: startAngle, // Current angle in orbit
-        orbitSpeed: 0.3, // Speed of orbit (radians per second)
+        patrolRadiusX: patrolRadius, // Patrol loop around the post (an ellipse; a circle for a lone guard)
+        patrolRadiusZ: patrolRadius,
+        squadron: null, // Squadron from squadrons.js (null when sailing alone)
+        // Steering state (see updateShipAI)
+        velocity: new THREE.Vector3(),
+        aiState: 'patrol',
+        aiTimer: 0, // Seconds spent in the current state
+        retreatHits: 0, // Hits already answered with a retreat
+        wanderAngle: Math.random() * Math.PI * 2,
+        avoidRadius: SHIP_AVOID_RADIUS,
         treasureIndex: treasureIndex,
         shipIndex: shipIndex,
         originalColor: hullMaterial.color.clone(),
         hullMaterial: hullMaterial, // Store for color animation
         hitTime: 0,
         hits: 0,
+        maxHits: SHIP_MAX_HITS,
+        // Damage state from localized hits
+        turretDisabled: false,
+        speedMultiplier: 1,
         // Shooting parameters
         detectionRadius: 15, // Distance at which ship detects player
         shootCooldown: 0, // Time until next shot
-        shootInterval: 7.0 // Seconds between shots (slower fire rate)
+        shootInterval: 7.0, // Seconds between shots (slower fire rate)
+        hitRegions: SHIP_HIT_REGIONS,
+        projectileType: 'enemy',
+        projectileSpeed: 20,
+        highArc: false, // Regular ships fire flat, fast shots
+        accuracy: randomInRange(0.5, 0.85) // Gunner skill: 1 = perfect lead, lower adds deliberate error
     };
 
+    startPatrol(target, startAngle);
+
     targets.push(target);
+    refreshTargetBounds(target);
 }
 
 /**
@@ -629,75 +853,574 @@ export function spawnBossShip(scene, x, z) {
         patrolCenterZ: z,
         patrolRadius: 12,
         patrolAngle: 0,
-        patrolSpeed: 0.15, // Slower than regular ships
-        orbitAngle: 0, // For compatibility with update function
+        patrolSpeed: 0.15, // Slower than regular ships (set by the phase)
+        patrolPattern: 'figure8',
+        velocity: new THREE.Vector3(),
+        avoidRadius: BOSS_AVOID_RADIUS,
         originalColor: hullMaterial.color.clone(),
         hullMaterial: hullMaterial,
         hitTime: 0,
         hits: 0,
         maxHits: BOSS_MAX_HITS,
+        // Damage state from localized hits
+        turretDisabled: false,
+        speedMultiplier: 1,
         // Boss shooting parameters - DEADLY triple shot with expanded range
         detectionRadius: 45, // Much longer range
         shootCooldown: 0,
         shootInterval: 3.5, // Fires every 3.5 seconds
         isOneShot: true, // Boss cannon is instant kill
-        tripleShot: true // Boss fires 3 projectiles in spread pattern
+        spreadCount: 3, // Cannonballs per volley, fanned out (set by the phase)
+        spreadAngle: 0.15,
+        hitRegions: BOSS_HIT_REGIONS,
+        projectileType: 'boss',
+        projectileSpeed: 25, // Boss projectile is faster
+        highArc: false, // Alternates between flat and lobbed volleys
+        accuracy: 0.9, // Boss gunners rarely miss
+        // Main gun laser - telegraphed by a warning line, boss holds position while it fires
+        laserCooldown: BOSS_LASER_FIRST_DELAY,
+        laserInterval: BOSS_LASER_INTERVAL,
+        laserChargeTime: BOSS_LASER_CHARGE_TIME,
+        laserDuration: BOSS_LASER_DURATION,
+        laserHoldTime: 0, // Seconds left holding position for the current laser
+        // Ram charge (later phases)
+        ramInterval: 0,
+        ramCooldown: 0,
+        ramState: null, // null, 'windup' or 'charging'
+        ramTimer: 0,
+        ramDirection: new THREE.Vector3(),
+        // Fight phase (index into BOSS_PHASES)
+        phaseIndex: -1
     };
 
+    applyBossPhase(bossTarget, 0);
+
     targets.push(bossTarget);
+    refreshTargetBounds(bossTarget);
     return bossTarget;
 }
 
+/**
+ * Switches the boss to a fight phase, taking its movement and attack settings from BOSS_PHASES
+ * @param {Object} boss - Boss target
+ * @param {number} phaseIndex - Index into BOSS_PHASES
+ */
+function applyBossPhase(boss, phaseIndex) {
+    const phase = BOSS_PHASES[phaseIndex];
+    boss.phaseIndex = phaseIndex;
+    boss.patrolPattern = phase.pattern;
+    boss.patrolSpeed = phase.patrolSpeed;
+    boss.shootInterval = phase.shootInterval;
+    boss.spreadCount = phase.spreadCount;
+    boss.spreadAngle = phase.spreadAngle;
+    boss.laserInterval = phase.laserInterval;
+    boss.laserCooldown = Math.min(boss.laserCooldown, phase.laserInterval);
+    boss.ramInterval = phase.ramInterval;
+    boss.ramCooldown = phase.ramInterval / 2; // First ram comes sooner
+
+    boss.hullMaterial.emissive.setHex(phase.tint);
+}
+
+/**
+ * Gets the display name of the boss's current fight phase
+ * @param {Object} boss - Boss target
+ * @returns {string} Phase name (e.g. 'Enraged')
+ */
+export function getBossPhaseName(boss) {
+    return BOSS_PHASES[Math.max(boss.phaseIndex, 0)].name;
+}
+
+/**
+ * Moves the boss into the phase matching its remaining hits and notifies listeners
+ * Heavy hits can skip a phase; the boss never returns to an earlier one
+ * @param {Object} boss - Boss target
+ */
+function updateBossPhase(boss) {
+    const hitsRemaining = boss.maxHits - boss.hits;
+
+    let phaseIndex = boss.phaseIndex;
+    for (let i = boss.phaseIndex + 1; i < BOSS_PHASES.length; i++) {
+        if (hitsRemaining <= BOSS_PHASES[i].maxHitsRemaining) {
+            phaseIndex = i;
+        }
+    }
+
+    if (phaseIndex !== boss.phaseIndex) {
+        applyBossPhase(boss, phaseIndex);
+        for (const listener of bossPhaseListeners) {
+            listener(boss, BOSS_PHASES[phaseIndex]);
+        }
+    }
+}
+
+/**
+ * Gets the point on the boss's patrol path for its current patrol angle
+ * @param {Object} boss - Boss target
+ * @param {THREE.Vector3} out - Vector to write the point to
+ * @returns {THREE.Vector3} The patrol point
+ */
+function getBossPatrolPoint(boss, out) {
+    const angle = boss.patrolAngle;
+    const radius = boss.patrolRadius;
+
+    if (boss.patrolPattern === 'circle') {
+        out.set(Math.cos(angle) * radius, 0, Math.sin(angle) * radius);
+    } else {
+        // Figure-8
+        out.set(Math.sin(angle) * radius, 0, Math.sin(angle * 2) * (radius * 0.5));
+    }
+
+    out.x += boss.patrolCenterX;
+    out.z += boss.patrolCenterZ;
+    out.y = BOSS_HEIGHT;
+    return out;
+}
+
+/**
+ * Moves the boss: patrol, ram charges, or holding still for a laser
+ * The boss steers toward its patrol point with the same steering behaviours as the
+ * guard ships, so pattern changes and the way back from a ram blend smoothly and it
+ * avoids escorts, chests, the player and the edge of the play area on the way
+ * @param {Object} boss - Boss target
+ * @param {number} deltaTime - Time since last frame in seconds
+ * @param {THREE.Vector3} playerPosition - Player ship position (ram target)
+ * @param {boolean} holdingForLaser - True while the boss's laser charges and fires
+ */
+function updateBossMovement(boss, deltaTime, playerPosition, holdingForLaser) {
+    const position = boss.mesh.position;
+
+    // ============ RAM - stop, turn toward the player, then charge ============
+    if (boss.ramState === null && boss.ramInterval > 0 && playerPosition && !holdingForLaser) {
+        boss.ramCooldown -= deltaTime;
+
+        const dx = playerPosition.x - position.x;
+        const dz = playerPosition.z - position.z;
+        if (boss.ramCooldown <= 0 && dx * dx + dz * dz < boss.detectionRadius * boss.detectionRadius) {
+            boss.ramState = 'windup';
+            boss.ramTimer = BOSS_RAM_WINDUP;
+            boss.ramDirection.set(dx, 0, dz).normalize();
+        }
+    }
+
+    if (boss.ramState === 'windup') {
+        // Swing the bow round to face the locked charge direction
+        boss.velocity.set(0, 0, 0);
+        boss.mesh.rotation.y = getHeading(boss.ramDirection, boss.mesh.rotation.y);
+        boss.ramTimer -= deltaTime;
+        if (boss.ramTimer <= 0) {
+            boss.ramState = 'charging';
+            boss.ramTimer = BOSS_RAM_DURATION;
+        }
+        return;
+    }
+
+    if (boss.ramState === 'charging') {
+        // A committed charge - no avoidance, but it still stops at the edge of the play area
+        boss.velocity.copy(boss.ramDirection).multiplyScalar(BOSS_RAM_SPEED * boss.speedMultiplier);
+        position.addScaledVector(boss.velocity, deltaTime);
+        clampToRadius(position, boss.velocity, BOUNDARY_RADIUS - boss.avoidRadius);
+        boss.ramTimer -= deltaTime;
+        if (boss.ramTimer <= 0) {
+            boss.ramState = null;
+            boss.ramCooldown = boss.ramInterval;
+        }
+        return;
+    }
+
+    if (holdingForLaser) {
+        // The laser is locked from where the boss stopped
+        boss.velocity.set(0, 0, 0);
+        return;
+    }
+
+    // ============ PATROL - follow the phase's pattern ============
+    boss.patrolAngle += boss.patrolSpeed * boss.speedMultiplier * deltaTime;
+    getBossPatrolPoint(boss, bossPatrolPoint);
+
+    const maxSpeed = BOSS_MAX_SPEED * boss.speedMultiplier;
+    arrive(position, boss.velocity, bossPatrolPoint, maxSpeed, SHIP_RADIUS, steeringForce);
+    addAvoidance(boss, maxSpeed, playerPosition, steeringForce);
+
+    integrate(position, boss.velocity, steeringForce, BOSS_MAX_FORCE, maxSpeed, deltaTime);
+    clampToRadius(position, boss.velocity, BOUNDARY_RADIUS - boss.avoidRadius);
+    position.y = BOSS_HEIGHT;
+
+    // Boss faces the direction of movement
+    boss.mesh.rotation.y = getHeading(boss.velocity, boss.mesh.rotation.y);
+}
+
+/**
+ * Registers a listener for boss phase changes
+ * @param {Function} listener - Called with (boss, phase) where phase is the BOSS_PHASES entry
+ */
+export function addBossPhaseListener(listener) {
+    bossPhaseListeners.push(listener);
+}
+
+/**
+ * Calls in escort ships that circle the boss's patrol area
+ * @param {THREE.Scene} scene - Scene to add the escorts to
+ * @param {Object} boss - Boss target being escorted
+ * @param {number} count - Number of escorts
+ */
+export function spawnEscorts(scene, boss, count) {
+    const startAngle = Math.random() * Math.PI * 2;
+    for (let i = 0; i < count; i++) {
+        const angle = startAngle + (i / count) * Math.PI * 2;
+        spawnTarget(scene, boss.patrolCenterX, boss.patrolCenterZ, BOSS_ESCORT_ORBIT_RADIUS, angle, -1, i);
+    }
+}
+
+/**
+ * Lists the obstacles near a ship: other live ships, the player and uncollected chests
+ * @param {Object} ship - Ship doing the avoiding
+ * @param {number} range - Only ships within this distance are listed
+ * @param {THREE.Vector3} playerPosition - Player ship position (null to leave the player out)
+ * @returns {Array<Object>} Obstacles as {x, z, radius}
+ */
+function getNearbyObstacles(ship, range, playerPosition) {
+    const position = ship.mesh.position;
+    const obstacles = [];
+
+    for (const other of queryTargets(
+        { x: position.x - range, z: position.z - range },
+        { x: position.x + range, z: position.z + range }
+    )) {
+        // Squadron mates sail close on purpose - separation keeps them apart
+        if (other !== ship && (!ship.squadron || other.squadron !== ship.squadron)) {
+            obstacles.push({ x: other.mesh.position.x, z: other.mesh.position.z, radius: other.avoidRadius });
+        }
+    }
+
+    if (playerPosition) {
+        obstacles.push({ x: playerPosition.x, z: playerPosition.z, radius: PLAYER_AVOID_RADIUS });
+    }
+
+    for (const treasure of getTreasures()) {
+        if (!treasure.collected) {
+            obstacles.push({
+                x: treasure.centerX,
+                z: treasure.centerZ,
+                radius: treasure.isMegaChest ? MEGA_CHEST_AVOID_RADIUS : CHEST_AVOID_RADIUS
+            });
+        }
+    }
+
+    return obstacles;
+}
+
+/**
+ * Adds lookahead obstacle avoidance and play-area containment to a ship's steering force
+ * @param {Object} ship - Guard ship or boss (needs velocity and avoidRadius)
+ * @param {number} maxSpeed - Ship's current top speed
+ * @param {THREE.Vector3} playerPosition - Player ship position (null to ignore the player)
+ * @param {THREE.Vector3} force - Steering force to add to (modified in place)
+ */
+function addAvoidance(ship, maxSpeed, playerPosition, force) {
+    const position = ship.mesh.position;
+    const lookAhead = Math.max(ship.velocity.length() * AVOID_LOOKAHEAD_TIME, MIN_AVOID_LOOKAHEAD);
+    const obstacles = getNearbyObstacles(ship, lookAhead + ship.avoidRadius + BOSS_AVOID_RADIUS, playerPosition);
+
+    avoidObstacles(position, ship.velocity, obstacles, ship.avoidRadius, lookAhead, maxSpeed, avoidanceForce);
+    force.addScaledVector(avoidanceForce, AVOID_WEIGHT);
+
+    containWithinRadius(position, ship.velocity, BOUNDARY_RADIUS - ship.avoidRadius, CONTAIN_LOOKAHEAD_TIME, maxSpeed, avoidanceForce);
+    force.addScaledVector(avoidanceForce, CONTAIN_WEIGHT);
+}
+
+/**
+ * Puts a guard ship into its patrol state, already under way along the patrol loop
+ * @param {Object} ship - Guard ship
+ * @param {number} angle - Ship's angle around its post
+ */
+function startPatrol(ship, angle) {
+    setShipState(ship, 'patrol');
+    ship.velocity.set(-Math.sin(angle) * ship.patrolRadiusX, 0, Math.cos(angle) * ship.patrolRadiusZ)
+        .setLength(SHIP_AI_STATES.patrol.maxSpeed);
+    ship.mesh.rotation.y = getHeading(ship.velocity, ship.mesh.rotation.y);
+}
+
+/**
+ * Moves a guard ship onto its patrol loop and starts it patrolling
+ * @param {Object} ship - Guard ship
+ * @param {number} angle - Angle around the post (ellipse parameter)
+ */
+function placeOnPatrolLoop(ship, angle) {
+    getPatrolPoint(ship, angle, ship.mesh.position);
+    ship.mesh.position.y = TARGET_HEIGHT;
+    startPatrol(ship, angle);
+}
+
+/**
+ * Gets a point on a guard ship's patrol loop
+ * @param {Object} ship - Guard ship
+ * @param {number} angle - Angle around the post (ellipse parameter)
+ * @param {THREE.Vector3} out - Receives the point (y untouched)
+ * @returns {THREE.Vector3} out
+ */
+function getPatrolPoint(ship, angle, out) {
+    out.x = ship.treasureX + Math.cos(angle) * ship.patrolRadiusX;
+    out.z = ship.treasureZ + Math.sin(angle) * ship.patrolRadiusZ;
+    return out;
+}
+
+/**
+ * Gets a guard ship's angle around its post, measured in the patrol loop's own (stretched) space
+ * @param {Object} ship - Guard ship
+ * @returns {number} Ellipse parameter of the ship's position
+ */
+function getPatrolAngle(ship) {
+    const position = ship.mesh.position;
+    return Math.atan2((position.z - ship.treasureZ) / ship.patrolRadiusZ, (position.x - ship.treasureX) / ship.patrolRadiusX);
+}
+
+/**
+ * Gets how far a guard ship is outside its patrol loop, measured along the line from its post
+ * @param {Object} ship - Guard ship
+ * @returns {number} Distance outside the loop (negative inside)
+ */
+function getStationOffset(ship) {
+    const dx = ship.mesh.position.x - ship.treasureX;
+    const dz = ship.mesh.position.z - ship.treasureZ;
+    const postDistance = Math.hypot(dx, dz);
+    const loopScale = Math.hypot(dx / ship.patrolRadiusX, dz / ship.patrolRadiusZ);
+
+    // The loop crosses this line at postDistance / loopScale
+    return loopScale > 1e-6 ? postDistance - postDistance / loopScale : -Math.min(ship.patrolRadiusX, ship.patrolRadiusZ);
+}
+
+/**
+ * Switches a guard ship's behaviour state
+ * @param {Object} ship - Guard ship
+ * @param {string} state - Key of SHIP_AI_STATES
+ */
+function setShipState(ship, state) {
+    ship.aiState = state;
+    ship.aiTimer = 0;
+}
+
+/**
+ * Picks a guard ship's next behaviour state from the player's range and its own damage
+ * @param {Object} ship - Guard ship
+ * @param {number} playerDistance - Horizontal distance to the player (Infinity if unknown)
+ * @param {number} stationOffset - Distance outside the patrol loop (negative inside)
+ * @returns {string} Key of SHIP_AI_STATES
+ */
+function chooseShipState(ship, playerDistance, stationOffset) {
+    const alertRange = ship.detectionRadius * ALERT_RANGE_FACTOR;
+    const backOnStation = Math.abs(stationOffset) < PATROL_TOLERANCE;
+
+    // Fresh damage sends any ship running (once per hit taken)
+    if (ship.hits > ship.retreatHits && ship.aiState !== 'retreat' && playerDistance < alertRange) {
+        ship.retreatHits = ship.hits;
+        return 'retreat';
+    }
+
+    // Followers only break formation to retreat; the leader decides where the squadron goes
+    if (isFollower(ship)) {
+        return ship.aiState === 'retreat' && ship.aiTimer < RETREAT_DURATION && playerDistance < alertRange
+            ? 'retreat'
+            : 'formation';
+    }
+
+    switch (ship.aiState) {
+        case 'patrol':
+            return playerDistance < alertRange ? 'alert' : 'patrol';
+
+        case 'alert':
+            if (playerDistance > alertRange) return 'return';
+            if (playerDistance < ship.detectionRadius) return 'engage';
+            return ship.aiTimer >= ALERT_DURATION ? 'engage' : 'alert';
+
+        case 'engage':
+            // Don't get drawn too far from the treasure or chase a player who has sailed off
+            return stationOffset > LEASH_DISTANCE || playerDistance > alertRange ? 'return' : 'engage';
+
+        case 'retreat':
+            return ship.aiTimer >= RETREAT_DURATION || playerDistance > alertRange ? 'return' : 'retreat';
+
+        case 'return':
+            // A player attacking the post gets engaged on the way back (once well inside the leash)
+            if (playerDistance < ship.detectionRadius && stationOffset < LEASH_DISTANCE / 2) return 'engage';
+            return backOnStation ? 'patrol' : 'return';
+
+        default:
+            // Leaving formation: promoted to leader or the squadron disbanded
+            return 'return';
+    }
+}
+
+/**
+ * Moves a guard ship with its behaviour state machine and steering behaviours
+ * @param {Object} ship - Guard ship
+ * @param {number} deltaTime - Time since last frame in seconds
+ * @param {THREE.Vector3} playerPosition - Player ship position (null if unknown)
+ * @param {THREE.Vector3} playerVelocity - Player ship velocity (null if unknown)
+ */
+function updateShipAI(ship, deltaTime, playerPosition, playerVelocity) {
+    const position = ship.mesh.position;
+
+    const playerDistance = playerPosition
+        ? Math.hypot(playerPosition.x - position.x, playerPosition.z - position.z)
+        : Infinity;
+    const stationOffset = getStationOffset(ship);
+
+    ship.aiTimer += deltaTime;
+    const nextState = chooseShipState(ship, playerDistance, stationOffset);
+    if (nextState !== ship.aiState) {
+        setShipState(ship, nextState);
+    }
+
+    // A squadron forms a line of battle to engage and keeps its cruising formation otherwise
+    if (ship.squadron && !isFollower(ship)) {
+        setFormation(ship.squadron, ship.aiState === 'engage' ? 'lineAhead' : null);
+    }
+
+    const maxSpeed = SHIP_AI_STATES[ship.aiState].maxSpeed * ship.speedMultiplier;
+
+    // ============ BEHAVIOUR - the state's own steering ============
+    switch (ship.aiState) {
+        case 'patrol': {
+            // Steer for a point a little ahead on the patrol loop, meandering slightly
+            getPatrolPoint(ship, getPatrolAngle(ship) + PATROL_LEAD_ANGLE, steeringPoint);
+            seek(position, ship.velocity, steeringPoint, maxSpeed, steeringForce);
+            wander(position, ship.velocity, ship, maxSpeed, deltaTime, behaviourForce);
+            steeringForce.addScaledVector(behaviourForce, WANDER_WEIGHT);
+            break;
+        }
+
+        case 'alert':
+            // Ease off and come round toward the player
+            seek(position, ship.velocity, playerPosition, maxSpeed, steeringForce);
+            break;
+
+        case 'engage':
+            if (playerDistance > ship.detectionRadius) {
+                // Out of range - cut the player off
+                pursue(position, ship.velocity, playerPosition, playerVelocity || ZERO_VELOCITY, maxSpeed, steeringForce);
+            } else {
+                // In range - hold station at the standoff distance on this side of the player
+                steeringPoint.set(position.x - playerPosition.x, 0, position.z - playerPosition.z);
+                steeringPoint.setLength(ship.detectionRadius * ENGAGE_STANDOFF).add(playerPosition);
+                arrive(position, ship.velocity, steeringPoint, maxSpeed, SHIP_RADIUS, steeringForce);
+            }
+            break;
+
+        case 'retreat':
+            flee(position, ship.velocity, playerPosition, maxSpeed, steeringForce);
+            break;
+
+        case 'return':
+            // Head back to the patrol loop, straight out from (or in toward) the post
+            getPatrolPoint(ship, getPatrolAngle(ship), steeringPoint);
+            arrive(position, ship.velocity, steeringPoint, maxSpeed, SHIP_RADIUS, steeringForce);
+            break;
+
+        case 'formation': {
+            // Aim a little ahead of the slot so the follower matches the leader's speed
+            const leader = getSquadronLeader(ship.squadron);
+            getFormationSlot(ship, steeringPoint).addScaledVector(leader.velocity, FORMATION_LEAD_TIME);
+            arrive(position, ship.velocity, steeringPoint, maxSpeed, SHIP_RADIUS, steeringForce);
+            break;
+        }
+    }
+
+    // ============ SEPARATION - keep clear of other ships ============
+    const neighbours = [];
+    for (const other of queryTargets(
+        { x: position.x - SEPARATION_RADIUS, z: position.z - SEPARATION_RADIUS },
+        { x: position.x + SEPARATION_RADIUS, z: position.z + SEPARATION_RADIUS }
+    )) {
+        if (other !== ship) neighbours.push(other.mesh.position);
+    }
+    separation(position, neighbours, SEPARATION_RADIUS, maxSpeed, behaviourForce);
+    steeringForce.addScaledVector(behaviourForce, SEPARATION_WEIGHT);
+
+    // ============ AVOIDANCE - steer round ships, chests and the player, stay in bounds ============
+    addAvoidance(ship, maxSpeed, playerPosition, steeringForce);
+
+    integrate(position, ship.velocity, steeringForce, SHIP_MAX_FORCE, maxSpeed, deltaTime);
+    clampToRadius(position, ship.velocity, BOUNDARY_RADIUS - ship.avoidRadius);
+    position.y = TARGET_HEIGHT;
+    ship.mesh.rotation.y = getHeading(ship.velocity, ship.mesh.rotation.y);
+}
+
+/**
+ * Offsets an aim point by a random miss scaled by range and gunner skill
+ * @param {THREE.Vector3} aimPoint - Point to perturb (modified in place)
+ * @param {number} accuracy - Gunner skill (0 to 1)
+ * @param {number} distance - Horizontal range to the target
+ */
+function applyAimError(aimPoint, accuracy, distance) {
+    const missRadius = (1 - accuracy) * MAX_AIM_ERROR * distance;
+    const angle = Math.random() * Math.PI * 2;
+    const radius = Math.sqrt(Math.random()) * missRadius; // Uniform over the miss disc
+
+    aimPoint.x += Math.cos(angle) * radius;
+    aimPoint.z += Math.sin(angle) * radius;
+}
+
 /**
  * Updates all targets (movement, hit animations, shooting)
  * @param {number} deltaTime - Time since last frame in seconds
  * @param {THREE.Vector3} playerPosition - Player ship position
- * @param {Function} shootCallback - Callback function to spawn enemy projectile
+ * @param {THREE.Vector3} playerVelocity - Player ship velocity (for leading shots)
+ * @param {Function} shootCallback - Callback (position, direction, speed) to spawn enemy projectile
+ * @param {Function} bossShootCallback - Callback (position, direction, speed) to spawn boss projectile
+ * @param {Function} bossLaserCallback - Callback (origin, direction, chargeTime, duration) to start a boss laser
  */
-export function updateTargets(deltaTime, playerPosition = null, shootCallback = null, bossShootCallback = null) {
-    const currentTime = performance.now() / 1000;
+export function updateTargets(deltaTime, playerPosition = null, playerVelocity = null, shootCallback = null, bossShootCallback = null, bossLaserCallback = null) {
+    const currentTime = getTime();
 
     for (const target of targets) {
-        // Skip destroyed targets
-        if (target.destroyed) continue;
+        // Skip destroyed targets (and drop them from the broad phase)
+        if (target.destroyed) {
+            removeFromGrid(targetGrid, target);
+            continue;
+        }
 
-        if (target.isMoving) {
-            if (target.isBoss) {
-                // Boss ship patrol movement - figure-8 pattern
-                target.patrolAngle += target.patrolSpeed * deltaTime;
+        // Boss holds position while its laser charges and fires
+        const holdingForLaser = target.isBoss && target.laserHoldTime > 0;
+        if (holdingForLaser) {
+            target.laserHoldTime -= deltaTime;
+        }
 
-                const x = target.patrolCenterX + Math.sin(target.patrolAngle) * target.patrolRadius;
-                const z = target.patrolCenterZ + Math.sin(target.patrolAngle * 2) * (target.patrolRadius * 0.5);
+        if (target.isBoss && target.isMoving) {
+            updateBossPhase(target);
+            updateBossMovement(target, deltaTime, playerPosition, holdingForLaser);
+        } else if (target.isMoving) {
+            updateShipAI(target, deltaTime, playerPosition, playerVelocity);
+        }
 
-                target.mesh.position.x = x;
-                target.mesh.position.z = z;
-                target.mesh.position.y = BOSS_HEIGHT;
+        // The boss can't start another attack mid-laser or mid-ram
+        const bossBusy = target.isBoss && (holdingForLaser || target.ramState !== null);
 
-                // Boss faces the direction of movement
-                const moveAngle = Math.atan2(
-                    Math.cos(target.patrolAngle) * target.patrolRadius,
-                    Math.cos(target.patrolAngle * 2) * target.patrolRadius
-                );
-                target.mesh.rotation.y = moveAngle;
-            } else {
-                // Regular ship orbit movement
-                target.orbitAngle += target.orbitSpeed * deltaTime;
+        // Boss laser: lock onto the player, telegraph, then fire (a knocked-out turret can't fire)
+        if (target.isBoss && playerPosition && bossLaserCallback && target.isMoving && !target.turretDisabled && !bossBusy) {
+            target.laserCooldown -= deltaTime;
 
-                // Calculate new position on circular orbit
-                const x = target.treasureX + Math.cos(target.orbitAngle) * target.orbitRadius;
-                const z = target.treasureZ + Math.sin(target.orbitAngle) * target.orbitRadius;
+            const dx = playerPosition.x - target.mesh.position.x;
+            const dz = playerPosition.z - target.mesh.position.z;
+            if (target.laserCooldown <= 0 && dx * dx + dz * dz < target.detectionRadius * target.detectionRadius) {
+                const laserOrigin = new THREE.Vector3(
+                    target.mesh.position.x,
+                    target.mesh.position.y + BOSS_LASER_HEIGHT,
+                    target.mesh.position.z
+                );
+                const aimPoint = new THREE.Vector3(playerPosition.x, playerPosition.y + PLAYER_AIM_HEIGHT, playerPosition.z);
+                const direction = aimPoint.sub(laserOrigin).normalize();
 
-                target.mesh.position.x = x;
-                target.mesh.position.z = z;
-                target.mesh.position.y = TARGET_HEIGHT;
+                bossLaserCallback(laserOrigin, direction, target.laserChargeTime, target.laserDuration);
+                target.laserHoldTime = target.laserChargeTime + target.laserDuration;
+                target.laserCooldown = target.laserInterval;
 
-                // Rotate ship to face direction of movement (tangent to circle)
-                target.mesh.rotation.y = target.orbitAngle + Math.PI / 2;
+                // Don't follow up with a cannon volley the moment the beam ends (cooldown pauses while lasing)
+                target.shootCooldown = Math.max(target.shootCooldown, 1);
             }
         }
 
-        // Enemy shooting AI
-        if (playerPosition && shootCallback && target.isMoving) {
+        // Enemy shooting AI (a knocked-out turret can't fire; the boss holds fire while lasing or ramming)
+        if (playerPosition && shootCallback && target.isMoving && !target.turretDisabled && !bossBusy) {
             // Update shoot cooldown
             if (target.shootCooldown > 0) {
                 target.shootCooldown -= deltaTime;
@@ -708,15 +1431,8 @@ export function updateTargets(deltaTime, playerPosition = null, shootCallback =
             const dz = playerPosition.z - target.mesh.position.z;
             const distanceToPlayer = Math.sqrt(dx * dx + dz * dz);
 
-            // If player is in range and cooldown is ready, shoot
-            if (distanceToPlayer < target.detectionRadius && target.shootCooldown <= 0) {
-                // Calculate direction to player
-                const direction = new THREE.Vector3(dx, 0, dz).normalize();
-
-                // Aim slightly up for arc trajectory
-                direction.y = target.isBoss ? 0.15 : 0.2; // Boss has flatter trajectory
-                direction.normalize();
-
+            // If player is in range and cooldown is ready, shoot (squadron mates take turns)
+            if (distanceToPlayer < target.detectionRadius && target.shootCooldown <= 0 && isSquadronGunReady(target)) {
                 // Get cannon position
                 const cannonHeight = target.isBoss ? 4.5 : 0.6;
                 const cannonPos = new THREE.Vector3(
@@ -725,33 +1441,43 @@ export function updateTargets(deltaTime, playerPosition = null, shootCallback =
                     target.mesh.position.z
                 );
 
-                // Boss uses special one-shot callback with triple shot
-                if (target.isBoss && bossShootCallback) {
-                    if (target.tripleShot) {
-                        // Fire triple shot in spread pattern
-                        const spreadAngle = 0.15; // Radians (~8.5 degrees)
-
-                        // Center shot
-                        bossShootCallback(cannonPos.clone(), direction.clone());
-
-                        // Left shot
-                        const leftDir = direction.clone();
-                        leftDir.applyAxisAngle(new THREE.Vector3(0, 1, 0), spreadAngle);
-                        bossShootCallback(cannonPos.clone(), leftDir);
-
-                        // Right shot
-                        const rightDir = direction.clone();
-                        rightDir.applyAxisAngle(new THREE.Vector3(0, 1, 0), -spreadAngle);
-                        bossShootCallback(cannonPos.clone(), rightDir);
-                    } else {
-                        bossShootCallback(cannonPos, direction);
+                // Solve the launch angle that lands the shot where the player's deck will be
+                const aimPoint = new THREE.Vector3(playerPosition.x, playerPosition.y + PLAYER_AIM_HEIGHT, playerPosition.z);
+                applyAimError(aimPoint, target.accuracy, distanceToPlayer);
+                const { gravity, dragFactor } = getBallisticParameters(target.projectileType);
+                const solution = computeInterceptSolution(
+                    cannonPos,
+                    aimPoint,
+                    playerVelocity || new THREE.Vector3(),
+                    target.projectileSpeed,
+                    gravity,
+                    { highArc: target.highArc, dragFactor: dragFactor, wind: getWindAcceleration(windAcceleration) }
+                );
+
+                // No solution means the player is out of range at this muzzle speed - hold fire
+                if (solution) {
+                    const direction = solution.direction;
+                    const speed = target.projectileSpeed;
+
+                    // Boss uses special one-shot callback with triple shot
+                    if (target.isBoss && bossShootCallback) {
+                        // Fan the volley out around the firing solution
+                        for (let shot = 0; shot < target.spreadCount; shot++) {
+                            const offset = (shot - (target.spreadCount - 1) / 2) * target.spreadAngle;
+                            const shotDirection = direction.clone().applyAxisAngle(UP_AXIS, offset);
+                            bossShootCallback(cannonPos.clone(), shotDirection, speed);
+                        }
+
+                        // Next volley uses the other arc so the player can't learn one timing
+                        target.highArc = !target.highArc;
+                    } else if (shootCallback) {
+                        shootCallback(cannonPos, direction, speed);
+                        recordSquadronShot(target);
                     }
-                } else if (shootCallback) {
-                    shootCallback(cannonPos, direction);
-                }
 
-                // Reset cooldown
-                target.shootCooldown = target.shootInterval;
+                    // Reset cooldown
+                    target.shootCooldown = target.shootInterval;
+                }
             }
         }
         
@@ -774,37 +1500,145 @@ export function updateTargets(deltaTime, playerPosition = null, shootCallback =
                 target.hitTime = 0;
             }
         }
+
+        refreshTargetBounds(target);
     }
 }
 
 /**
- * Resets a navy ship target to its original orbit position
+ * Resets a navy ship target to a random point on its patrol loop
  * @param {Object} target - Target to reset
  */
 export function resetTarget(target) {
-    // Reset orbit angle to a random position
-    target.orbitAngle = Math.random() * Math.PI * 2;
-
-    // Calculate position on orbit
-    const x = target.treasureX + Math.cos(target.orbitAngle) * target.orbitRadius;
-    const z = target.treasureZ + Math.sin(target.orbitAngle) * target.orbitRadius;
-
-    target.mesh.position.set(x, TARGET_HEIGHT, z);
+    target.retreatHits = target.hits;
+    placeOnPatrolLoop(target, Math.random() * Math.PI * 2);
 
     // Keep navy ship color consistent (don't randomize)
     target.hullMaterial.color.copy(target.originalColor);
 
     target.mesh.scale.set(1, 1, 1);
-    target.mesh.rotation.y = target.orbitAngle + Math.PI / 2;
+    refreshTargetBounds(target);
 }
 
 /**
- * Triggers hit animation on a target
+ * Applies a hit to a target: localized damage effects plus the hit animation
  * @param {Object} target - Target that was hit
+ * @param {string} region - Hit region name ('hull', 'bridge', 'turret' or 'mast')
+ * @param {number} damageMultiplier - Scales the region's damage (e.g. 0.35 for a grapeshot pellet)
+ * @returns {Object} {region, damage, critical}
  */
-export function hitTarget(target) {
-    target.hitTime = performance.now() / 1000;
-    target.hits++;
+export function hitTarget(target, region = 'hull', damageMultiplier = 1) {
+    const effect = REGION_EFFECTS[region] || REGION_EFFECTS.hull;
+    const damage = effect.damage * damageMultiplier;
+
+    target.hitTime = getTime();
+    target.hits += damage;
+
+    if (effect.disablesTurret) {
+        target.turretDisabled = true;
+    }
+    if (effect.slows) {
+        target.speedMultiplier = CRIPPLED_SPEED_MULTIPLIER;
+    }
+
+    return {
+        region: REGION_EFFECTS[region] ? region : 'hull',
+        damage: damage,
+        critical: !!effect.critical
+    };
+}
+
+/**
+ * Recomputes a target's cached hull box and grid cells if the ship has moved, turned or rescaled
+ * @param {Object} target - Target record
+ */
+function refreshTargetBounds(target) {
+    const { position, rotation, scale } = target.mesh;
+    const cached = target.cachedTransform;
+
+    if (cached &&
+        cached.x === position.x && cached.y === position.y && cached.z === position.z &&
+        cached.yaw === rotation.y && cached.scale === scale.x) {
+        return;
+    }
+
+    target.cachedTransform = { x: position.x, y: position.y, z: position.z, yaw: rotation.y, scale: scale.x };
+
+    // World-space box per hit region, and overall bounds enclosing all of them
+    target.regionBoxes = [];
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+
+    for (const region of target.hitRegions) {
+        const obb = getOBBFromObject(target.mesh, region.center, region.halfExtents);
+        target.regionBoxes.push({ name: region.name, obb });
+
+        const regionBounds = getAABBFromOBB(obb);
+        for (const axis of ['x', 'y', 'z']) {
+            min[axis] = Math.min(min[axis], regionBounds.min[axis]);
+            max[axis] = Math.max(max[axis], regionBounds.max[axis]);
+        }
+    }
+
+    target.bounds = { min, max };
+    updateInGrid(targetGrid, target, min, max);
+}
+
+/**
+ * Gets a target's hit regions in world space
+ * Follows the ship's heading and the hit-pulse scale, so hits match the visible parts
+ * @param {Object} target - Target record
+ * @returns {Array} Cached regions [{name, obb}]
+ */
+export function getTargetHitRegions(target) {
+    return target.regionBoxes;
+}
+
+/**
+ * Finds live targets whose bounds may overlap an XZ region (broad phase)
+ * @param {Object} min - Region minimum {x, z}
+ * @param {Object} max - Region maximum {x, z}
+ * @returns {Array} Candidate targets (narrow-phase test still required)
+ */
+export function queryTargets(min, max) {
+    const candidates = [];
+    for (const target of queryGrid(targetGrid, min, max)) {
+        if (!target.destroyed) {
+            candidates.push(target);
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Finds live targets with any hit region inside a sphere (e.g. a shell burst)
+ * @param {Object} center - Sphere center {x, y, z}
+ * @param {number} radius - Sphere radius
+ * @returns {Array} Targets touched by the sphere
+ */
+export function queryTargetsInRadius(center, radius) {
+    const candidates = queryTargets(
+        { x: center.x - radius, z: center.z - radius },
+        { x: center.x + radius, z: center.z + radius }
+    );
+
+    return candidates.filter(target =>
+        target.regionBoxes.some(region => sphereVsOBB(center, radius, region.obb))
+    );
+}
+
+/**
+ * Gets the distance from a point to the nearest part of a target
+ * @param {Object} target - Target record
+ * @param {Object} point - World position {x, y, z}
+ * @returns {number} Distance to the closest hit region (0 if inside one)
+ */
+export function getDistanceToTarget(target, point) {
+    let closest = Infinity;
+    for (const region of target.regionBoxes) {
+        closest = Math.min(closest, distanceToOBB(point, region.obb));
+    }
+    return closest;
 }
 
 /**
@@ -838,5 +1672,6 @@ export function clearAllTargets(scene) {
         });
     }
     targets.length = 0;
+    clearGrid(targetGrid);
 }
 
@@ -4,11 +4,16 @@
  */
 
 import * as THREE from 'three';
+import { createSpatialGrid, updateInGrid, removeFromGrid, queryGrid, clearGrid } from './collision.js';
 
 const treasures = [];
 const CHEST_HEIGHT = 0.8;
 const MEGA_CHEST_HEIGHT = 1.2;
 
+// Broad phase: chests never move across the water, so they are bucketed once at spawn
+const TREASURE_GRID_CELL_SIZE = 10;
+const treasureGrid = createSpatialGrid(TREASURE_GRID_CELL_SIZE);
+
 /**
  * Creates an optimized treasure chest 3D model
  * @returns {Object} Chest group and materials for animation
@@ -325,6 +330,7 @@ export function spawnTreasures(scene, count) {
             };
 
             treasures.push(treasure);
+            updateInGrid(treasureGrid, treasure, { x, z }, { x, z });
             treasurePositions.push({ x, z });
         }
     }
@@ -348,6 +354,7 @@ export function spawnTreasures(scene, count) {
     };
 
     treasures.push(megaTreasure);
+    updateInGrid(treasureGrid, megaTreasure, { x: megaX, z: megaZ }, { x: megaX, z: megaZ });
     megaChestPosition = { x: megaX, z: megaZ };
 
     return { treasurePositions, megaChestPosition };
@@ -418,7 +425,13 @@ export function updateTreasures(deltaTime) {
  * @returns {Object|null} Collected treasure or null
  */
 export function checkTreasureCollection(playerPosition, collectionRadius = 2.5) {
-    for (const treasure of treasures) {
+    const candidates = queryGrid(
+        treasureGrid,
+        { x: playerPosition.x - collectionRadius, z: playerPosition.z - collectionRadius },
+        { x: playerPosition.x + collectionRadius, z: playerPosition.z + collectionRadius }
+    );
+
+    for (const treasure of candidates) {
         if (treasure.collected) continue;
 
         const dx = treasure.mesh.position.x - playerPosition.x;
@@ -439,6 +452,7 @@ export function checkTreasureCollection(playerPosition, collectionRadius = 2.5)
  */
 export function collectTreasure(scene, treasure) {
     treasure.collected = true;
+    removeFromGrid(treasureGrid, treasure);
     scene.remove(treasure.mesh);
 
     // Dispose of geometries and materials
@@ -502,4 +516,5 @@ export function clearAllTreasures(scene) {
         });
     }
     treasures.length = 0;
+    clearGrid(treasureGrid);
 }
@@ -0,0 +1,123 @@
+/**
+ * wind.js - Global wind simulation
+ * Maintains a gusting wind that deflects projectiles and fills the player's sails
+ */
+
+import * as THREE from 'three';
+import { clamp, lerp, randomInRange } from './utils.js';
+
+// Wind state
+let windHeading = 0;      // Direction the wind blows toward (radians, same convention as ship heading)
+let headingDrift = 0;     // Current drift rate of the heading (radians per second)
+let baseStrength = 0;     // Steady wind speed (m/s)
+let gustStrength = 0;     // Current gust contribution (m/s)
+let gustTarget = 0;       // Gust strength being approached
+let gustTimer = 0;        // Seconds until the next gust target is picked
+const windVector = new THREE.Vector3();
+
+// Wind configuration
+const MIN_BASE_STRENGTH = 1.5;   // m/s
+const MAX_BASE_STRENGTH = 4.5;   // m/s
+const MAX_GUST_STRENGTH = 3.0;   // m/s added on top of the base wind
+const GUST_INTERVAL_MIN = 2.0;   // seconds
+const GUST_INTERVAL_MAX = 5.0;   // seconds
+const GUST_RESPONSE = 1.2;       // How quickly gusts build and fade (per second)
+const MAX_HEADING_DRIFT = 0.06;  // radians per second
+export const MAX_WIND_STRENGTH = MAX_BASE_STRENGTH + MAX_GUST_STRENGTH;
+
+// Effect tuning
+const PROJECTILE_WIND_FACTOR = 0.5; // Lateral acceleration per m/s of wind
+const SAIL_EFFECT = 0.35;            // Max fraction of ship speed gained (tailwind) or lost (headwind)
+
+/**
+ * Picks a new random prevailing wind (for game start/restart)
+ */
+export function resetWind() {
+    windHeading = Math.random() * Math.PI * 2;
+    headingDrift = 0;
+    baseStrength = randomInRange(MIN_BASE_STRENGTH, MAX_BASE_STRENGTH);
+    gustStrength = 0;
+    gustTarget = 0;
+    gustTimer = randomInRange(GUST_INTERVAL_MIN, GUST_INTERVAL_MAX);
+    updateWindVector();
+}
+
+/**
+ * Advances the wind simulation (gusts and slow direction changes)
+ * @param {number} deltaTime - Time since last update in seconds
+ */
+export function updateWind(deltaTime) {
+    // Pick a new gust target every few seconds
+    gustTimer -= deltaTime;
+    if (gustTimer <= 0) {
+        gustTarget = Math.random() < 0.4 ? randomInRange(0.5, 1.0) * MAX_GUST_STRENGTH : 0;
+        headingDrift = randomInRange(-MAX_HEADING_DRIFT, MAX_HEADING_DRIFT);
+        gustTimer = randomInRange(GUST_INTERVAL_MIN, GUST_INTERVAL_MAX);
+    }
+
+    // Ease gust strength toward its target
+    gustStrength = lerp(gustStrength, gustTarget, clamp(GUST_RESPONSE * deltaTime, 0, 1));
+
+    // Slowly veer the wind direction
+    windHeading += headingDrift * deltaTime;
+
+    updateWindVector();
+}
+
+/**
+ * Recomputes the cached world-space wind velocity
+ */
+function updateWindVector() {
+    const strength = getWindStrength();
+    windVector.set(
+        -Math.sin(windHeading) * strength,
+        0,
+        -Math.cos(windHeading) * strength
+    );
+}
+
+/**
+ * Gets the wind velocity in world space
+ * @returns {THREE.Vector3} Wind velocity (m/s), horizontal only
+ */
+export function getWindVector() {
+    return windVector;
+}
+
+/**
+ * Gets the current wind speed including gusts
+ * @returns {number} Wind speed in m/s
+ */
+export function getWindStrength() {
+    return baseStrength + gustStrength;
+}
+
+/**
+ * Gets the direction the wind blows toward
+ * @returns {number} Heading in radians (0 = -Z, same convention as ship rotation)
+ */
+export function getWindHeading() {
+    return windHeading;
+}
+
+/**
+ * Gets the lateral acceleration the wind applies to a projectile
+ * @param {THREE.Vector3} target - Vector to write the acceleration into
+ * @returns {THREE.Vector3} Acceleration in m/s²
+ */
+export function getWindAcceleration(target) {
+    return target.copy(windVector).multiplyScalar(PROJECTILE_WIND_FACTOR);
+}
+
+/**
+ * Gets the speed multiplier for a ship sailing on a given heading
+ * Tailwinds speed the ship up, headwinds slow it down
+ * @param {number} heading - Ship heading in radians
+ * @returns {number} Multiplier applied to the ship's forward speed
+ */
+export function getSailSpeedMultiplier(heading) {
+    // Alignment between ship forward vector and wind direction (-1 to 1)
+    const alignment = Math.cos(heading - windHeading);
+    const strengthFactor = getWindStrength() / MAX_WIND_STRENGTH;
+    return 1 + SAIL_EFFECT * alignment * strengthFactor;
+}